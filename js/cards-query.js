@@ -0,0 +1,262 @@
+// Filtering and sorting of the card list, kept free of DOM and page state
+// so the same rules run in the browser (main.js) and under Node (tests,
+// tooling).
+//
+// - filterCards(cards, query) applies the search predicate and the filter
+//   panel selections.
+// - sortCards(cards, sort, options) orders cards by a column, including the
+//   special rarity and reward orderings described below. Any other key
+//   sorts by that card field, plus "variantCount" for the number of
+//   appearances.
+
+// Rarity rank, lowest first
+export const RARITY_ORDER = {
+  Common: 0,
+  Uncommon: 1,
+  Rare: 2,
+  Epic: 3,
+  Legendary: 4
+};
+
+// Cups before Diamonds; others last
+export const REWARD_TYPE_ORDER = {
+  Cups: 0,
+  Diamonds: 1
+};
+
+// Canonical data values, in display order
+export const RARITIES = Object.keys(RARITY_ORDER);
+export const REWARD_TYPES = Object.keys(REWARD_TYPE_ORDER);
+export const GENDERS = ["Male", "Female", "Non-binary", "Inanimate"];
+
+// Reward amounts a card can give, per reward type
+export const REWARD_TIERS = {
+  Cups: [2, 4, 8, 12],
+  Diamonds: [20, 40, 80, 120]
+};
+
+// Selections may be passed as Sets or arrays; nothing selected means no filter
+function toSet(values) {
+  if (values instanceof Set) return values;
+  return new Set(values ?? []);
+}
+
+// Fields whose displayed text may differ from the data (translations)
+const DISPLAYED_TEXT_FIELDS = new Set(["cardName", "message", "book"]);
+
+// Ties keep the dataset order (_index is set when cards.json is loaded)
+function compareIndex(a, b) {
+  return (a._index ?? 0) - (b._index ?? 0);
+}
+
+// All book titles of a card as an array (the field may be a string or array)
+export function getCardBooks(card) {
+  if (!card.book) return [];
+  return (Array.isArray(card.book) ? card.book : [card.book]).filter(Boolean);
+}
+
+// selectedGenders is a Set; an empty set means no filter
+export function matchesGender(card, selectedGenders) {
+  if (!selectedGenders || selectedGenders.size === 0) return true;
+
+  const g = card.gender;
+  if (!g) return false;
+
+  if (Array.isArray(g)) {
+    return g.some(value => selectedGenders.has(value));
+  }
+
+  return selectedGenders.has(g);
+}
+
+// book matching that supports string or array; any selected title matches
+export function matchesBook(card, selectedBooks) {
+  if (!selectedBooks || selectedBooks.size === 0) return true; // no filter selected
+
+  return getCardBooks(card).some(book => selectedBooks.has(book));
+}
+
+// Number of appearances: the variant images, or just the main image
+export function variantCount(card) {
+  const variants = Array.isArray(card.variants) ? card.variants.filter(Boolean) : [];
+  if (variants.length) return variants.length;
+  return card.image ? 1 : 0;
+}
+
+// "Aslan and Vlad", "Agent Doe, Lima, and Anna", "Satan & Lilith" →
+// individual names; "Aslan / Leo Nolan" is one character with two names
+export function splitCharacterNames(character) {
+  return String(character ?? "")
+    .split(/\s*,\s*and\s+|\s*,\s*|\s+and\s+|\s*&\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// Map rewards into a common "tier" space: 2,4,8,12 for both cups/diamonds
+export function rewardTier(card) {
+  const amount = card.rewardAmount ?? 0;
+  if (!card.reward) return 9999;
+  if (card.reward === "Cups") return amount;            // 2,4,8,12
+  if (card.reward === "Diamonds") return amount / 10;  // 20→2, 40→4...
+  return 9999;
+}
+
+// For descending reward sort: diamonds dominate and higher amounts first
+export function rewardDescScore(card) {
+  const amt = card.rewardAmount ?? 0;
+  if (card.reward === "Diamonds") return amt * 2; // always above cups
+  if (card.reward === "Cups") return amt;         // 12 > 8 > 4 > 2
+  return -1;
+}
+
+// query: {
+//   test:   optional predicate, e.g. a parsed search query
+//   volume, book, gender, reward, rarity: selected values (Set or array)
+//   character: one character name, matched exactly against the names
+//              splitCharacterNames() finds on a card ("" = any)
+//   owned:  "" | "owned" | "missing", checked against ownedIds
+// }
+export function filterCards(cards, query = {}) {
+  const volume = toSet(query.volume);
+  const book = toSet(query.book);
+  const gender = toSet(query.gender);
+  const reward = toSet(query.reward);
+  const rarity = toSet(query.rarity);
+  const ownedIds = toSet(query.ownedIds);
+  const owned = query.owned ?? "";
+  const character = query.character ?? "";
+
+  return cards.filter(card => {
+    if (query.test && !query.test(card)) return false;
+
+    if (volume.size && !volume.has(String(card.volume))) return false;
+
+    // BOOK filter via helper (handles arrays)
+    if (!matchesBook(card, book)) return false;
+
+    if (!matchesGender(card, gender)) return false;
+    if (reward.size && !reward.has(card.reward)) return false;
+    if (rarity.size && !rarity.has(card.rarity)) return false;
+    if (character && !splitCharacterNames(card.character).includes(character)) return false;
+
+    if (owned === "owned" && !ownedIds.has(card.id)) return false;
+    if (owned === "missing" && ownedIds.has(card.id)) return false;
+
+    return true;
+  });
+}
+
+// sort: { key, direction: "asc" | "desc" }
+// options.collator orders text (default: the runtime's locale);
+// options.getText(card, field) supplies displayed text, e.g. a translation
+export function sortCards(list, sort, options = {}) {
+  const { key, direction } = sort;
+  const factor = direction === "asc" ? 1 : -1;
+
+  const collator = options.collator ?? new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+  const getText = options.getText ?? ((card, field) => card[field]);
+
+  return [...list].sort((a, b) => {
+    // --- Special: rarity ---
+    if (key === "rarity") {
+      const ra = RARITY_ORDER[a.rarity] ?? 999;
+      const rb = RARITY_ORDER[b.rarity] ?? 999;
+
+      // 1) rarity rank, honouring asc/desc
+      if (ra !== rb) return (ra - rb) * factor;
+
+      // 2) reward tier: asc or desc depending on direction
+      const ta = rewardTier(a);
+      const tb = rewardTier(b);
+
+      if (ta !== tb) {
+        if (direction === "asc") {
+          return ta - tb;
+        } else {
+          return tb - ta; // reverse tier only
+        }
+      }
+
+      // 3) volume: always ascending
+      const va = a.volume ?? 9999;
+      const vb = b.volume ?? 9999;
+      if (va !== vb) return va - vb;
+
+      // 4) reward type: cups before diamonds
+      const rta = REWARD_TYPE_ORDER[a.reward] ?? 999;
+      const rtb = REWARD_TYPE_ORDER[b.reward] ?? 999;
+      if (rta !== rtb) return rta - rtb;
+
+      // 5) fallback: original index
+      return compareIndex(a, b);
+    }
+
+    // --- Special: reward (type/amount/volume) ---
+    if (key === "reward") {
+      if (direction === "asc") {
+        // Ascending:
+        // 1) Cups before Diamonds
+        // 2) Amount ascending
+        // 3) Volume ascending
+        const ta = REWARD_TYPE_ORDER[a.reward] ?? 999;
+        const tb = REWARD_TYPE_ORDER[b.reward] ?? 999;
+        if (ta !== tb) return ta - tb;
+
+        const aa = a.rewardAmount ?? 0;
+        const ab = b.rewardAmount ?? 0;
+        if (aa !== ab) return aa - ab;
+
+        const va = a.volume ?? 9999;
+        const vb = b.volume ?? 9999;
+        if (va !== vb) return va - vb;
+
+        return compareIndex(a, b);
+      } else {
+        // Descending:
+        // 1) score so Diamonds outrank Cups, bigger first:
+        //    120d, 80d, 40d, 20d, 12c, 8c, 4c, 2c
+        // 2) volume ascending within same amount
+        const sa = rewardDescScore(a);
+        const sb = rewardDescScore(b);
+        if (sa !== sb) return sb - sa; // bigger score first
+
+        const va = a.volume ?? 9999;
+        const vb = b.volume ?? 9999;
+        if (va !== vb) return va - vb;
+
+        return compareIndex(a, b);
+      }
+    }
+
+    // --- Default behaviour for everything else ---
+    let va = a[key];
+    let vb = b[key];
+
+    if (key === "variantCount") {
+      va = variantCount(a);
+      vb = variantCount(b);
+    }
+
+    // Translatable text sorts by what the user reads
+    if (DISPLAYED_TEXT_FIELDS.has(key)) {
+      va = getText(a, key);
+      vb = getText(b, key);
+    }
+
+    // If a field is an array (e.g. gender or book tags), sort by the first item
+    if (Array.isArray(va)) va = va[0];
+    if (Array.isArray(vb)) vb = vb[0];
+
+    // Text follows the active language's alphabet
+    if (typeof va === "string" && typeof vb === "string") {
+      const order = collator.compare(va, vb);
+      if (order !== 0) return order * factor;
+      return compareIndex(a, b);
+    }
+
+    if (va < vb) return -1 * factor;
+    if (va > vb) return 1 * factor;
+
+    return compareIndex(a, b);
+  });
+}
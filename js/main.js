@@ -1,3 +1,14 @@
+import {
+  GENDERS,
+  RARITIES,
+  REWARD_TYPES,
+  filterCards,
+  getCardBooks,
+  sortCards,
+  splitCharacterNames,
+  variantCount
+} from "./cards-query.js";
+
 // --- 1. State & DOM references ---
 
 const tableBody = document.querySelector("#cards-table tbody");
@@ -10,22 +21,79 @@ const filterBook = document.getElementById("filter-book");
 const filterGender = document.getElementById("filter-gender");
 const filterReward = document.getElementById("filter-reward");
 const filterRarity = document.getElementById("filter-rarity");
+const filterOwned = document.getElementById("filter-owned");
+
+// Multi-select filter controls and the values ticked in each
+const multiFilters = {
+  volume: filterVolume,
+  rarity: filterRarity,
+  reward: filterReward,
+  book: filterBook,
+  gender: filterGender
+};
+
+const filterSelections = {
+  volume: new Set(),
+  rarity: new Set(),
+  reward: new Set(),
+  book: new Set(),
+  gender: new Set()
+};
+
+// One exact character name, set from the statistics chart ("" = any)
+let characterFilter = "";
+
+// Chip prefixes come from UI_STRINGS ("filter.volume" …)
+function getFilterLabel(name) {
+  return t(`filter.${name}`);
+}
 
 const themeToggleBtn = document.getElementById("theme-toggle");
+const viewToggleBtn = document.getElementById("view-toggle");
+const cardsTable = document.getElementById("cards-table");
+const cardsGallery = document.getElementById("cards-gallery");
+
+// Pause after the last keystroke before the search is applied
+const SEARCH_DEBOUNCE_MS = 150;
+
+// "table" or "gallery", persisted like the theme
+let viewMode = "table";
 
 let cards = [];
 
+// Book title → series name, from data/book-series.json
+let bookSeries = new Map();
+
 let currentSort = {
   key: "volume",
   direction: "asc"
 };
 
+// True once the user has picked a column sort; until then free-text
+// searches are listed by relevance
+let userSorted = false;
+
 let currentList = [];
 let currentIndex = -1;
 
 // Currently selected appearance within the open card
 let currentVariantIndex = 0;
 
+// Id of the card shown in the detail overlay (null while it's closed)
+let openCardId = null;
+
+// Ids of the cards the user has marked as owned (persisted in localStorage)
+let ownedCardIds = new Set();
+
+// Hand-picked cards for the reward calculator; while pickMode is on,
+// clicking a row toggles it here instead of opening the overlay
+let pickedCardIds = new Set();
+let pickMode = false;
+
+// Cards pinned for side-by-side comparison, in pinning order (max 4).
+// Kept apart from the filters so pins survive any search.
+let comparedCardIds = [];
+
 
 // --- 2. Theme (light/dark) ---
 
@@ -39,7 +107,7 @@ function applyTheme(theme) {
   }
 
   if (themeToggleBtn) {
-    themeToggleBtn.textContent = isDark ? "Light mode" : "Dark mode";
+    themeToggleBtn.textContent = isDark ? t("theme.light") : t("theme.dark");
   }
 }
 
@@ -63,6 +131,822 @@ function initTheme() {
   applyTheme(theme);
 }
 
+// --- Table / gallery view mode ---
+
+function applyViewMode(mode) {
+  viewMode = mode === "gallery" ? "gallery" : "table";
+  const isGallery = viewMode === "gallery";
+
+  document.body.classList.toggle("view-gallery", isGallery);
+  if (cardsTable) cardsTable.classList.toggle("hidden", isGallery);
+  if (cardsGallery) cardsGallery.classList.toggle("hidden", !isGallery);
+
+  if (viewToggleBtn) {
+    viewToggleBtn.textContent = isGallery ? t("view.table") : t("view.gallery");
+    viewToggleBtn.setAttribute("aria-pressed", isGallery ? "true" : "false");
+  }
+}
+
+function initViewMode() {
+  let mode = "table";
+
+  try {
+    if (localStorage.getItem("viewMode") === "gallery") {
+      mode = "gallery";
+    }
+  } catch (e) {
+    // ignore storage errors
+  }
+
+  applyViewMode(mode);
+}
+
+// --- Language (UI strings and card translations) ---
+//
+// English strings in index.html are the defaults; elements marked with
+// data-i18n* attributes take their text from UI_STRINGS when another
+// language is active. Strings built in JS always go through t().
+//
+// Cards may carry translations of their own text:
+//   "translations": { "ru": { "cardName": "…", "message": "…", "book": "…" } }
+// where "book" mirrors the card's book field (a string or an array in the
+// same order). Anything missing falls back to English.
+
+const LANGUAGES = {
+  en: "English",
+  ru: "Русский"
+};
+
+// Entries with plural forms are objects keyed by Intl.PluralRules category
+const UI_STRINGS = {
+  en: {
+    "theme.dark": "Dark mode",
+    "theme.light": "Light mode",
+    "view.gallery": "Gallery view",
+    "view.table": "Table view",
+
+    "filter.volume": "Volume",
+    "filter.rarity": "Rarity",
+    "filter.reward": "Reward",
+    "filter.book": "Book",
+    "filter.gender": "Gender",
+    "filter.owned": "Collection",
+    "filter.character": "Character",
+    "filter.all": "All",
+    "filter.selected": "{count} selected",
+    "filter.chipRemove": "Remove filter {filter}: {value}",
+    "filter.volumeProgress": "Vol {volume}: {owned}/{total}",
+
+    "results.count": { one: "{count} card shown", other: "{count} cards shown" },
+    "cards.count": { one: "{count} card", other: "{count} cards" },
+    "volume.short": "Vol {volume}",
+    "volume.long": "Volume {volume}",
+    "volume.none": "No volume",
+    "volume.list": { one: "volume {list}", other: "volumes {list}" },
+    "reward.cupsTotal": "{count} cups",
+    "reward.diamondsTotal": "{count} diamonds",
+
+    "rarity.Common": "Common",
+    "rarity.Uncommon": "Uncommon",
+    "rarity.Rare": "Rare",
+    "rarity.Epic": "Epic",
+    "rarity.Legendary": "Legendary",
+    "reward.Cups": "Cups",
+    "reward.Diamonds": "Diamonds",
+    "gender.Male": "Male",
+    "gender.Female": "Female",
+    "gender.Non-binary": "Non-binary",
+    "gender.Inanimate": "Inanimate",
+
+    "card.owned": "Owned",
+    "card.markOwned": "Mark as owned",
+    "card.isOwned": "✓ Owned",
+    "card.appearance": "Appearance {index}",
+    "card.appearanceOf": "Appearance {index} of {total}",
+    "card.position": "Card {index} of {total}: {name}",
+
+    "collection.notShareCode": "That doesn't look like a share code (it should start with \"{prefix}.\").",
+    "collection.badCount": "The share code is damaged (bad card count).",
+    "collection.otherList": "This share code was made for a different card list and can't be read.",
+    "collection.newerList": "This share code was made with a longer card list than this page has, so it can't be checked. Reload the page to get the latest cards and try again.",
+    "collection.badCharacters": "The share code is damaged (bad characters).",
+    "collection.badFormat": "Unsupported file format \"{format}\".",
+    "collection.noList": "No card list found in this file.",
+    "collection.emptyCsv": "The CSV file is empty.",
+    "collection.noIdColumn": "The CSV file needs an \"id\" column.",
+    "collection.imported": { one: "Imported {count} owned card.", other: "Imported {count} owned cards." },
+    "collection.unknownIds": { one: "Skipped {count} unknown id: {ids}.", other: "Skipped {count} unknown ids: {ids}." },
+    "collection.more": "… ({count} more)",
+    "collection.keptOwned": {
+      one: "{count} card marked as not owned is still in your collection; merging only adds cards, so use Replace to remove it.",
+      other: "{count} cards marked as not owned are still in your collection; merging only adds cards, so use Replace to remove them."
+    },
+    "collection.confirmReplace": "Replace your current collection with the imported one?",
+    "collection.copied": "Share code copied to the clipboard.",
+    "collection.copyManually": "Copy the share code from the box above.",
+    "collection.importFailed": "Couldn't import {file}: {error}",
+
+    "views.namePrompt": "Name this view:",
+    "views.defaultName": "View {number}",
+    "views.confirmOverwrite": "Replace the saved view \"{name}\" with the current search, filters and sorting?",
+    "views.confirmDelete": "Delete the saved view \"{name}\"?",
+    "views.nameTaken": "There is already a view called \"{name}\".",
+    "views.saved": "Saved the view \"{name}\".",
+    "views.summarySearch": "search \"{text}\"",
+    "views.summarySort": "sorted by {column}, {direction}",
+    "views.summaryAll": "all cards",
+    "views.ascending": "ascending",
+    "views.descending": "descending",
+    "views.rename": "Name of view {number}",
+    "views.apply": "Apply",
+    "views.delete": "Delete",
+    "views.moveUp": "Move \"{name}\" up",
+    "views.moveDown": "Move \"{name}\" down",
+    "views.badFormat": "Unsupported file format \"{format}\".",
+    "views.noList": "No saved views found in this file.",
+    "views.imported": { one: "Imported {count} view.", other: "Imported {count} views." },
+    "views.importFailed": "Couldn't import {file}: {error}",
+
+    "column.art": "Art",
+    "column.cardName": "Card name",
+    "column.character": "Character",
+    "column.volume": "Volume",
+    "column.rarity": "Rarity",
+    "column.reward": "Reward",
+    "column.owned": "Owned",
+    "column.book": "Book",
+    "column.gender": "Gender",
+    "column.message": "Message",
+    "column.variantCount": "Appearances",
+    "column.id": "Card id",
+    "columns.moveUp": "Move {name} left",
+    "columns.moveDown": "Move {name} right",
+
+    "export.yes": "yes",
+    "export.no": "no",
+    "export.noColumns": "Pick at least one column to export.",
+    "export.empty": "There are no cards in the list to export.",
+    "export.done": { one: "Exported {count} card.", other: "Exported {count} cards." },
+    "export.copied": "Markdown table copied to the clipboard.",
+    "export.copyManually": "Copy the Markdown table from the box above.",
+    "export.checklistTitle": "Card checklist",
+    "export.checklistSummary": {
+      one: "{count} card, {owned} owned · {date}",
+      other: "{count} cards, {owned} owned · {date}"
+    },
+    "export.checklistVolume": "{volume} · {owned}/{total}",
+
+    "calc.byVolume": "By volume",
+    "calc.byBook": "By book",
+    "calc.cards": "Cards",
+    "calc.cupsEarned": "Cups earned",
+    "calc.cupsLeft": "Cups left",
+    "calc.diamondsEarned": "Diamonds earned",
+    "calc.diamondsLeft": "Diamonds left",
+    "calc.basisOwned": "owned",
+    "calc.basisPicked": "{count} picked",
+    "calc.summary": { one: "{count} card matches the current filters (earned = {basis}).", other: "{count} cards match the current filters (earned = {basis})." },
+    "calc.cupsSummary": "Cups: {earned} earned, {left} left of {total}.",
+    "calc.diamondsSummary": "Diamonds: {earned} earned, {left} left of {total}.",
+    "calc.pick": "Pick cards in the table",
+    "calc.donePicking": "Done picking",
+
+    "query.missingQuote": "Missing closing quote after {text}",
+    "query.needsValue": "\"{field}:\" needs a value, e.g. {field}:something",
+    "query.unexpectedClose": "Unexpected \")\" without a matching \"(\"",
+    "query.orNeedsTerms": "\"OR\" needs a search term on both sides",
+    "query.negationNeedsTerm": "\"-\" must be followed by a search term",
+    "query.emptyParentheses": "Empty parentheses",
+    "query.missingClose": "Missing closing \")\"",
+    "query.notNumber": "\"{field}:{text}\" isn't a number or range; try {field}:10, {field}:10..15 or {field}:>=10",
+    "query.unknownRarity": "Unknown rarity \"{value}\"; use {list}",
+    "query.badReward": "Can't read \"reward:{value}\"; try reward:diamonds, reward:cups>=8 or reward:>=40",
+    "query.unknownReward": "Unknown reward \"{value}\"; use cups or diamonds",
+    "query.unknownField": "Unknown field \"{field}:\"; try name, character, vol, rarity, reward, amount, book, gender, msg, id or owned",
+    "query.badOwned": "\"owned:{value}\" should be owned:yes or owned:no",
+
+    "stats.rarityPerVolume": "Rarity per volume",
+    "stats.rewardPerVolume": "Reward type per volume",
+    "stats.cupsVsDiamonds": "Cups vs diamonds",
+    "stats.genderSplit": "Gender split",
+    "stats.topCharacters": "Most frequent characters",
+    "stats.perBook": "Cards per book",
+
+    "profile.character": "Character",
+    "profile.book": "Book",
+    "profile.series": "Book series",
+    "profile.allCardsOf": "All cards of {name}",
+    "profile.cardsIn": { one: "{count} card in {volumes}", other: "{count} cards in {volumes}" },
+    "profile.sharesWith": "Shares cards with: ",
+    "profile.includes": "Includes: {titles}",
+    "profile.characters": "Characters: ",
+    "profile.art": "Art",
+    "profile.card": "Card",
+    "profile.vol": "Vol",
+
+    "compare.pin": "Pin to compare",
+    "compare.unpin": "Unpin from comparison",
+    "compare.full": "Comparison full ({max})",
+    "compare.unpinShort": "Unpin",
+    "compare.unpinCard": "Unpin {name}",
+    "compare.open": "Compare ({count})",
+    "compare.kind": "Comparison",
+    "compare.title": "{count} cards side by side",
+    "compare.differ": "Highlighted rows differ: {fields}",
+    "compare.same": "All compared fields match",
+    "compare.message": "Message",
+
+    "offline.volumeOption": "Vol {volume} ({count} images)",
+    "offline.unavailable": "Offline use isn't available in this browser or hasn't started yet – try again after a reload.",
+    "offline.failed": "Offline use couldn't be enabled.",
+    "data.loading": "Loading cards…",
+    "data.loadFailed": "Couldn't load the card list: {error}",
+    "data.httpError": "the server answered {status}",
+    "data.parseError": "{file} is not valid JSON ({error})",
+    "data.notList": "{file} doesn't contain a list of cards",
+    "data.skipped": {
+      one: "{count} entry in {file} was skipped:",
+      other: "{count} entries in {file} were skipped:"
+    },
+    "data.problem.notObject": "not a card object",
+    "data.problem.noId": "missing id",
+    "data.problem.duplicateId": "duplicate id",
+    "data.problem.noName": "missing character or card name",
+    "data.problem.badVolume": "volume is not a number",
+    "data.problem.badName": "character or card name is not text",
+    "data.problem.badRarity": "rarity is not text",
+    "data.problem.badReward": "reward is not text",
+    "data.empty": "The catalogue has no cards yet.",
+    "data.noResults": "No cards match the current search and filters.",
+    "preview.banner": {
+      one: "Preview dataset: {file}, {count} card, {mode}. Nothing is saved.",
+      other: "Preview dataset: {file}, {count} cards, {mode}. Nothing is saved."
+    },
+    "preview.mode.merge": "merged with the bundled cards",
+    "preview.mode.replace": "replacing the bundled cards",
+    "preview.loading": "Reading {file}…",
+    "preview.failed": "Couldn't preview {file}: {error}",
+    "preview.noCards": "it has no usable cards",
+    "preview.notJson": "Only JSON datasets can be previewed; drop a cards.json file.",
+    "preview.loaded": { one: "Showing {count} card from {file}.", other: "Showing {count} cards from {file}." },
+    "preview.dropHere": "Drop a cards.json file to preview it",
+    "offline.progress": "Downloading {label}: {done}/{total}…",
+    "offline.partial": "{label}: {saved} of {total} images saved, {failed} failed. Try again when the connection is better.",
+    "offline.done": "{label}: all {total} images are available offline."
+  },
+
+  ru: {
+    "html.title": "Каталог карт КР",
+    "html.intro": "Ищите по персонажу, названию карты, книге или тексту (небольшие опечатки не страшны) или по полю: <code>rarity:epic</code>, <code>vol:10..15</code>, <code>reward:diamonds&gt;=40</code>, <code>book:\"Heaven's Secret\"</code>, <code>-character:vlad</code>, с <code>OR</code> и скобками. Используйте фильтры; нажмите на заголовок столбца, чтобы отсортировать. Нажмите на строку, чтобы открыть карту; отмечайте галочкой «Есть», чтобы вести коллекцию.",
+    "html.search": "Поиск:",
+    "html.searchPlaceholder": "Имя или, например, rarity:epic vol:10..15",
+    "html.volume": "Том:",
+    "html.rarity": "Редкость:",
+    "html.reward": "Награда:",
+    "html.book": "Книга:",
+    "html.gender": "Пол:",
+    "html.collection": "Коллекция:",
+    "html.ownedAll": "Все",
+    "html.ownedOwned": "Есть",
+    "html.ownedMissing": "Нет",
+    "html.clearFilters": "Сбросить фильтры",
+    "html.clearSorting": "Сбросить сортировку",
+    "html.language": "Язык",
+
+    "html.backup": "Резервная копия коллекции",
+    "html.export": "Экспорт",
+    "html.downloadJson": "Скачать JSON",
+    "html.downloadCsv": "Скачать CSV",
+    "html.copyCode": "Скопировать код",
+    "html.shareCode": "Код коллекции",
+    "html.import": "Импорт",
+    "html.mode": "Режим:",
+    "html.merge": "Добавить к моей коллекции",
+    "html.replace": "Заменить мою коллекцию",
+    "html.importFile": "Импортировать файл JSON или CSV…",
+    "html.pasteCode": "Вставьте код коллекции",
+    "html.importCode": "Импортировать код",
+
+    "html.calculator": "Калькулятор наград",
+    "html.countAsEarned": "Считать полученными:",
+    "html.ownedCards": "Имеющиеся карты",
+    "html.pickedCards": "Выбранные карты",
+    "html.clearPicks": "Сбросить выбор",
+
+    "html.offline": "Офлайн-режим",
+    "html.offlineHint": "Просмотренные карты доступны и без интернета. Скачайте арты целого тома, чтобы листать его офлайн.",
+    "html.downloadImages": "Скачать изображения",
+
+    "html.statistics": "Статистика",
+    "html.statisticsHint": "Данные по всему каталогу. Нажмите на столбец или сегмент, чтобы отфильтровать таблицу.",
+
+    "html.newCards": "Появились новые карты.",
+    "html.reload": "Обновить",
+    "html.activeFilters": "Активные фильтры",
+
+    "html.colVolume": "Том",
+    "html.colRarity": "Редкость",
+
+    "html.prevCard": "Предыдущая карта",
+    "html.nextCard": "Следующая карта",
+    "html.close": "Закрыть ✕",
+    "html.cardDetails": "Карта",
+    "html.character": "Персонаж",
+    "html.cardName": "Название",
+    "html.rewardLabel": "Награда",
+    "html.genderLabel": "Пол",
+    "html.compare": "Сравнение",
+    "html.openLightbox": "Открыть на весь экран",
+    "html.prevAppearance": "Предыдущий образ",
+    "html.nextAppearance": "Следующий образ",
+    "html.lightboxHint": "Щипок или колесо — масштаб · двойное касание — сброс · свайп в стороны — образы, вверх или вниз — другие карты",
+    "html.colBook": "Книга",
+    "html.colCollection": "Коллекция",
+    "html.pinnedCards": "Закреплённые карты",
+    "html.clear": "Очистить",
+    "html.backToTop": "Наверх",
+    "html.retry": "Повторить",
+    "html.previewDataset": "Предпросмотр набора карт",
+    "html.previewHint": "Откройте черновой cards.json, чтобы посмотреть его в каталоге до слияния, или перетащите файл на страницу. Ничего не сохраняется.",
+    "html.previewMerge": "Объединить со встроенными картами",
+    "html.previewReplace": "Заменить встроенные карты",
+    "html.previewFile": "Открыть cards.json…",
+    "html.previewExit": "Вернуться к встроенным картам",
+    "html.savedViews": "Сохранённые виды",
+    "html.savedViewsPick": "Сохранённые виды…",
+    "html.saveView": "Сохранить вид",
+    "html.manageViews": "Управление видами",
+    "html.noSavedViews": "Сохранённых видов пока нет. Настройте поиск, фильтры и сортировку и нажмите «Сохранить вид».",
+    "html.exportViews": "Экспорт видов",
+    "html.importViews": "Импорт видов…",
+    "html.exportResults": "Экспорт результатов",
+    "html.exportHint": "Экспортируются карты из списка ниже с текущим поиском, фильтрами и сортировкой.",
+    "html.exportColumns": "Столбцы",
+    "html.downloadMarkdown": "Скачать Markdown",
+    "html.copyMarkdown": "Скопировать таблицу Markdown",
+    "html.printChecklist": "Печать чек-листа",
+    "html.markdownTable": "Таблица Markdown",
+    "html.tableColumns": "Столбцы таблицы",
+    "html.tableColumnsHint": "Отметьте столбцы, которые нужно показать, и расставьте их стрелками. Раскладка сохраняется на этом устройстве.",
+    "html.resetColumns": "Столбцы по умолчанию",
+
+    "theme.dark": "Тёмная тема",
+    "theme.light": "Светлая тема",
+    "view.gallery": "Галерея",
+    "view.table": "Таблица",
+
+    "filter.volume": "Том",
+    "filter.rarity": "Редкость",
+    "filter.reward": "Награда",
+    "filter.book": "Книга",
+    "filter.gender": "Пол",
+    "filter.owned": "Коллекция",
+    "filter.character": "Персонаж",
+    "filter.all": "Все",
+    "filter.selected": "Выбрано: {count}",
+    "filter.chipRemove": "Убрать фильтр {filter}: {value}",
+    "filter.volumeProgress": "Том {volume}: {owned}/{total}",
+
+    "results.count": {
+      one: "Показана {count} карта",
+      few: "Показаны {count} карты",
+      many: "Показано {count} карт",
+      other: "Показано {count} карты"
+    },
+    "cards.count": { one: "{count} карта", few: "{count} карты", many: "{count} карт", other: "{count} карты" },
+    "volume.short": "Том {volume}",
+    "volume.long": "Том {volume}",
+    "volume.none": "Без тома",
+    "volume.list": { one: "томе {list}", other: "томах {list}" },
+    "reward.cupsTotal": "кубков: {count}",
+    "reward.diamondsTotal": "алмазов: {count}",
+
+    "rarity.Common": "Обычная",
+    "rarity.Uncommon": "Необычная",
+    "rarity.Rare": "Редкая",
+    "rarity.Epic": "Эпическая",
+    "rarity.Legendary": "Легендарная",
+    "reward.Cups": "Кубки",
+    "reward.Diamonds": "Алмазы",
+    "gender.Male": "Мужской",
+    "gender.Female": "Женский",
+    "gender.Non-binary": "Небинарный",
+    "gender.Inanimate": "Неодушевлённый",
+
+    "card.owned": "Есть",
+    "card.markOwned": "Отметить как полученную",
+    "card.isOwned": "✓ Есть",
+    "card.appearance": "Образ {index}",
+    "card.appearanceOf": "Образ {index} из {total}",
+    "card.position": "Карта {index} из {total}: {name}",
+
+    "collection.notShareCode": "Это не похоже на код коллекции (он должен начинаться с «{prefix}.»).",
+    "collection.badCount": "Код коллекции повреждён (неверное число карт).",
+    "collection.otherList": "Этот код создан для другого списка карт и не может быть прочитан.",
+    "collection.newerList": "Этот код создан для более длинного списка карт, чем есть на странице, поэтому его нельзя проверить. Обновите страницу, чтобы загрузить новые карты, и попробуйте снова.",
+    "collection.badCharacters": "Код коллекции повреждён (недопустимые символы).",
+    "collection.badFormat": "Неподдерживаемый формат файла «{format}».",
+    "collection.noList": "В файле нет списка карт.",
+    "collection.emptyCsv": "CSV-файл пуст.",
+    "collection.noIdColumn": "В CSV-файле нужен столбец «id».",
+    "collection.imported": {
+      one: "Импортирована {count} карта.",
+      few: "Импортированы {count} карты.",
+      many: "Импортировано {count} карт.",
+      other: "Импортировано {count} карты."
+    },
+    "collection.unknownIds": "Пропущено неизвестных id: {count} ({ids}).",
+    "collection.more": "… (ещё {count})",
+    "collection.keptOwned": "Карты, отмеченные как отсутствующие, остались в коллекции: {count}. Объединение только добавляет карты; чтобы убрать их, выберите замену.",
+    "collection.confirmReplace": "Заменить текущую коллекцию импортированной?",
+    "collection.copied": "Код коллекции скопирован в буфер обмена.",
+    "collection.copyManually": "Скопируйте код коллекции из поля выше.",
+    "collection.importFailed": "Не удалось импортировать {file}: {error}",
+
+    "views.namePrompt": "Название вида:",
+    "views.defaultName": "Вид {number}",
+    "views.confirmOverwrite": "Заменить сохранённый вид «{name}» текущим поиском, фильтрами и сортировкой?",
+    "views.confirmDelete": "Удалить сохранённый вид «{name}»?",
+    "views.nameTaken": "Вид «{name}» уже существует.",
+    "views.saved": "Вид «{name}» сохранён.",
+    "views.summarySearch": "поиск «{text}»",
+    "views.summarySort": "сортировка: {column}, {direction}",
+    "views.summaryAll": "все карты",
+    "views.ascending": "по возрастанию",
+    "views.descending": "по убыванию",
+    "views.rename": "Название вида {number}",
+    "views.apply": "Применить",
+    "views.delete": "Удалить",
+    "views.moveUp": "Переместить «{name}» выше",
+    "views.moveDown": "Переместить «{name}» ниже",
+    "views.badFormat": "Неподдерживаемый формат файла «{format}».",
+    "views.noList": "В файле нет сохранённых видов.",
+    "views.imported": {
+      one: "Импортирован {count} вид.",
+      few: "Импортировано {count} вида.",
+      many: "Импортировано {count} видов.",
+      other: "Импортировано {count} вида."
+    },
+    "views.importFailed": "Не удалось импортировать {file}: {error}",
+
+    "column.art": "Арт",
+    "column.cardName": "Название",
+    "column.character": "Персонаж",
+    "column.volume": "Том",
+    "column.rarity": "Редкость",
+    "column.reward": "Награда",
+    "column.owned": "Есть",
+    "column.book": "Книга",
+    "column.gender": "Пол",
+    "column.message": "Сообщение",
+    "column.variantCount": "Облики",
+    "column.id": "ID карты",
+    "columns.moveUp": "Переместить «{name}» левее",
+    "columns.moveDown": "Переместить «{name}» правее",
+
+    "export.yes": "да",
+    "export.no": "нет",
+    "export.noColumns": "Выберите хотя бы один столбец для экспорта.",
+    "export.empty": "В списке нет карт для экспорта.",
+    "export.done": {
+      one: "Экспортирована {count} карта.",
+      few: "Экспортированы {count} карты.",
+      many: "Экспортировано {count} карт.",
+      other: "Экспортировано {count} карты."
+    },
+    "export.copied": "Таблица Markdown скопирована в буфер обмена.",
+    "export.copyManually": "Скопируйте таблицу Markdown из поля выше.",
+    "export.checklistTitle": "Чек-лист карт",
+    "export.checklistSummary": {
+      one: "{count} карта, есть {owned} · {date}",
+      few: "{count} карты, есть {owned} · {date}",
+      many: "{count} карт, есть {owned} · {date}",
+      other: "{count} карты, есть {owned} · {date}"
+    },
+    "export.checklistVolume": "{volume} · {owned}/{total}",
+
+    "calc.byVolume": "По томам",
+    "calc.byBook": "По книгам",
+    "calc.cards": "Карты",
+    "calc.cupsEarned": "Кубков получено",
+    "calc.cupsLeft": "Кубков осталось",
+    "calc.diamondsEarned": "Алмазов получено",
+    "calc.diamondsLeft": "Алмазов осталось",
+    "calc.basisOwned": "имеющиеся",
+    "calc.basisPicked": "выбрано {count}",
+    "calc.summary": "Карт под текущие фильтры: {count} (получены = {basis}).",
+    "calc.cupsSummary": "Кубки: получено {earned}, осталось {left} из {total}.",
+    "calc.diamondsSummary": "Алмазы: получено {earned}, осталось {left} из {total}.",
+    "calc.pick": "Выбрать карты в таблице",
+    "calc.donePicking": "Готово",
+
+    "query.missingQuote": "Нет закрывающей кавычки после {text}",
+    "query.needsValue": "После «{field}:» нужно значение, например {field}:что-то",
+    "query.unexpectedClose": "Лишняя «)» без парной «(»",
+    "query.orNeedsTerms": "С обеих сторон «OR» нужно слово для поиска",
+    "query.negationNeedsTerm": "После «-» должно идти слово для поиска",
+    "query.emptyParentheses": "Пустые скобки",
+    "query.missingClose": "Нет закрывающей «)»",
+    "query.notNumber": "«{field}:{text}» — не число и не диапазон; попробуйте {field}:10, {field}:10..15 или {field}:>=10",
+    "query.unknownRarity": "Неизвестная редкость «{value}»; доступны {list}",
+    "query.badReward": "Не удалось разобрать «reward:{value}»; попробуйте reward:diamonds, reward:cups>=8 или reward:>=40",
+    "query.unknownReward": "Неизвестная награда «{value}»; используйте cups или diamonds",
+    "query.unknownField": "Неизвестное поле «{field}:»; попробуйте name, character, vol, rarity, reward, amount, book, gender, msg, id или owned",
+    "query.badOwned": "«owned:{value}» должно быть owned:yes или owned:no",
+
+    "stats.rarityPerVolume": "Редкость по томам",
+    "stats.rewardPerVolume": "Тип награды по томам",
+    "stats.cupsVsDiamonds": "Кубки и алмазы",
+    "stats.genderSplit": "Распределение по полу",
+    "stats.topCharacters": "Самые частые персонажи",
+    "stats.perBook": "Карт в каждой книге",
+
+    "profile.character": "Персонаж",
+    "profile.book": "Книга",
+    "profile.series": "Серия книг",
+    "profile.allCardsOf": "Все карты: {name}",
+    "profile.cardsIn": "Карт: {count}, в {volumes}",
+    "profile.sharesWith": "Общие карты с: ",
+    "profile.includes": "Входят: {titles}",
+    "profile.characters": "Персонажи: ",
+    "profile.art": "Арт",
+    "profile.card": "Карта",
+    "profile.vol": "Том",
+
+    "compare.pin": "Добавить к сравнению",
+    "compare.unpin": "Убрать из сравнения",
+    "compare.full": "Сравнение заполнено ({max})",
+    "compare.unpinShort": "Убрать",
+    "compare.unpinCard": "Убрать {name}",
+    "compare.open": "Сравнить ({count})",
+    "compare.kind": "Сравнение",
+    "compare.title": "Карт рядом: {count}",
+    "compare.differ": "Выделены различающиеся строки: {fields}",
+    "compare.same": "Все сравниваемые поля совпадают",
+    "compare.message": "Текст",
+
+    "offline.volumeOption": "Том {volume} (изображений: {count})",
+    "offline.unavailable": "Офлайн-режим недоступен в этом браузере или ещё не запустился — попробуйте после перезагрузки.",
+    "offline.failed": "Не удалось включить офлайн-режим.",
+    "data.loading": "Загрузка карт…",
+    "data.loadFailed": "Не удалось загрузить список карт: {error}",
+    "data.httpError": "сервер ответил {status}",
+    "data.parseError": "{file} содержит ошибку JSON ({error})",
+    "data.notList": "в {file} нет списка карт",
+    "data.skipped": {
+      one: "Пропущена {count} запись в {file}:",
+      few: "Пропущены {count} записи в {file}:",
+      many: "Пропущено {count} записей в {file}:",
+      other: "Пропущено {count} записи в {file}:"
+    },
+    "data.problem.notObject": "не объект карты",
+    "data.problem.noId": "нет id",
+    "data.problem.duplicateId": "повторяющийся id",
+    "data.problem.noName": "нет персонажа или названия карты",
+    "data.problem.badVolume": "том не является числом",
+    "data.problem.badName": "персонаж или название карты не являются текстом",
+    "data.problem.badRarity": "редкость не является текстом",
+    "data.problem.badReward": "награда не является текстом",
+    "data.empty": "В каталоге пока нет карт.",
+    "data.noResults": "Нет карт, подходящих под поиск и фильтры.",
+    "preview.banner": {
+      one: "Предпросмотр: {file}, {count} карта, {mode}. Ничего не сохраняется.",
+      few: "Предпросмотр: {file}, {count} карты, {mode}. Ничего не сохраняется.",
+      many: "Предпросмотр: {file}, {count} карт, {mode}. Ничего не сохраняется.",
+      other: "Предпросмотр: {file}, {count} карты, {mode}. Ничего не сохраняется."
+    },
+    "preview.mode.merge": "вместе со встроенными картами",
+    "preview.mode.replace": "вместо встроенных карт",
+    "preview.loading": "Чтение {file}…",
+    "preview.failed": "Не удалось открыть {file}: {error}",
+    "preview.noCards": "в нём нет подходящих карт",
+    "preview.notJson": "Предпросмотр работает только с JSON; перетащите файл cards.json.",
+    "preview.loaded": {
+      one: "Показана {count} карта из {file}.",
+      few: "Показаны {count} карты из {file}.",
+      many: "Показано {count} карт из {file}.",
+      other: "Показано {count} карты из {file}."
+    },
+    "preview.dropHere": "Перетащите cards.json для предпросмотра",
+    "offline.progress": "Скачивание ({label}): {done}/{total}…",
+    "offline.partial": "{label}: сохранено {saved} из {total} изображений, ошибок: {failed}. Попробуйте снова при хорошем соединении.",
+    "offline.done": "{label}: все {total} изображений доступны офлайн."
+  }
+};
+
+let language = "en";
+
+// Default text of each translatable element, read from index.html once
+const staticDefaults = new WeakMap();
+
+function hasString(key) {
+  return key in UI_STRINGS[language] || key in UI_STRINGS.en;
+}
+
+// t("results.count", { count: 3 }) → "3 cards shown"; missing strings
+// fall back to English, then to the key itself
+function t(key, params = {}) {
+  let entry = UI_STRINGS[language][key] ?? UI_STRINGS.en[key] ?? key;
+
+  if (typeof entry === "object") {
+    const category = new Intl.PluralRules(language).select(params.count ?? 0);
+    entry = entry[category] ?? entry.other;
+  }
+
+  return entry.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] != null ? String(params[name]) : match);
+}
+
+// Display label for a canonical data value ("Epic", "Cups", "Female");
+// the filters and URLs keep using the English value
+function valueLabel(kind, value) {
+  if (value == null || value === "") return "";
+  const key = `${kind}.${value}`;
+  return hasString(key) ? t(key) : String(value);
+}
+
+// Card text in the active language, or the English original
+function getCardText(card, field) {
+  const translated = card.translations && card.translations[language];
+  const value = translated && translated[field];
+  return value ? value : card[field];
+}
+
+// Translated title per English book title, collected from the cards;
+// rebuilt when the language or the dataset (e.g. a preview) changes
+let bookTitleTranslations = null;
+let bookTitleTranslationsFor = null;
+let bookTitleTranslationsLanguage = null;
+
+function translateBookTitle(title) {
+  if (!bookTitleTranslations ||
+      bookTitleTranslationsFor !== cards ||
+      bookTitleTranslationsLanguage !== language) {
+    bookTitleTranslations = new Map();
+    bookTitleTranslationsFor = cards;
+    bookTitleTranslationsLanguage = language;
+
+    cards.forEach(card => {
+      const translated = card.translations && card.translations[language];
+      if (!translated || !translated.book) return;
+
+      const originals = getCardBooks(card);
+      const labels = [].concat(translated.book);
+      originals.forEach((original, i) => {
+        if (labels[i]) bookTitleTranslations.set(original, labels[i]);
+      });
+    });
+  }
+
+  return bookTitleTranslations.get(title) ?? title;
+}
+
+// Collator for user-visible ordering; numbers inside names sort naturally
+function getCollator() {
+  return new Intl.Collator(language, { numeric: true, sensitivity: "base" });
+}
+
+// Translate every element in index.html that carries a data-i18n* key
+function applyStaticTranslations() {
+  const translate = (el, attribute, apply) => {
+    const key = el.dataset[attribute];
+    const defaults = staticDefaults.get(el) ?? {};
+
+    if (!(attribute in defaults)) {
+      defaults[attribute] = apply(null);
+      staticDefaults.set(el, defaults);
+    }
+
+    const translated = UI_STRINGS[language][key];
+    apply(typeof translated === "string" ? translated : defaults[attribute]);
+  };
+
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    translate(el, "i18n", value => value == null ? el.textContent : (el.textContent = value));
+  });
+
+  document.querySelectorAll("[data-i18n-html]").forEach(el => {
+    translate(el, "i18nHtml", value => value == null ? el.innerHTML : (el.innerHTML = value));
+  });
+
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+    translate(el, "i18nPlaceholder", value => value == null
+      ? el.getAttribute("placeholder")
+      : el.setAttribute("placeholder", value));
+  });
+
+  document.querySelectorAll("[data-i18n-title]").forEach(el => {
+    translate(el, "i18nTitle", value => value == null
+      ? el.getAttribute("title")
+      : el.setAttribute("title", value));
+  });
+
+  document.querySelectorAll("[data-i18n-label]").forEach(el => {
+    translate(el, "i18nLabel", value => value == null
+      ? el.getAttribute("aria-label")
+      : el.setAttribute("aria-label", value));
+  });
+}
+
+function applyLanguage(lang) {
+  language = UI_STRINGS[lang] ? lang : "en";
+  document.documentElement.lang = language;
+
+  const select = document.getElementById("language-select");
+  if (select) select.value = language;
+
+  applyStaticTranslations();
+
+  // Normalised search text depends on the locale's case rules
+  searchTextCache.clear();
+}
+
+function initLanguage() {
+  const select = document.getElementById("language-select");
+  if (select) {
+    Object.entries(LANGUAGES).forEach(([code, name]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+
+  let lang = "en";
+
+  try {
+    const stored = localStorage.getItem("language");
+    if (stored && UI_STRINGS[stored]) {
+      lang = stored;
+    } else if (navigator.language && navigator.language.toLowerCase().startsWith("ru")) {
+      lang = "ru";
+    }
+  } catch (e) {
+    // ignore storage errors
+  }
+
+  applyLanguage(lang);
+}
+
+// Redraw everything that holds translated text after a switch
+function refreshLanguage() {
+  applyTheme(document.body.classList.contains("dark") ? "dark" : "light");
+  applyViewMode(viewMode);
+
+  parsedSearch = { text: null, test: null, terms: [], error: null };
+  renderCacheFor = null;
+  statisticsDrawnFor = null;
+
+  Object.keys(multiFilters).forEach(name => {
+    multiFilters[name].querySelectorAll(".multi-select-option").forEach(option => {
+      const value = option.querySelector("input").value;
+      const label = option.querySelector(".multi-select-option-label");
+      if (name !== "volume") label.textContent = getFilterOptionLabel(name, value);
+    });
+    syncMultiSelect(name);
+  });
+  updateVolumeCompletion();
+  populateOfflineVolumes();
+  renderDataStatus();
+  renderPreviewBanner();
+  renderSavedViews();
+  renderExportColumns();
+  renderTableHeader();
+  renderColumnPicker();
+
+  const pickBtn = document.getElementById("calc-pick-mode");
+  if (pickBtn) setPickMode(pickMode);
+
+  render();
+  renderCompareBar();
+
+  const statsPanel = document.getElementById("statistics");
+  if (statsPanel && statsPanel.open) drawStatistics();
+
+  if (openCardId) {
+    const card = cards.find(c => c.id === openCardId);
+    if (card) showCardDetails(card, currentVariantIndex);
+  }
+
+  if (openProfileState) {
+    const { type, key } = openProfileState;
+    if (type === "character") openCharacterProfile(key);
+    else if (type === "book") openBookProfile(key);
+    else if (type === "compare") openComparison();
+  }
+}
+
+function setLanguage(lang) {
+  applyLanguage(lang);
+  refreshLanguage();
+
+  try {
+    localStorage.setItem("language", language);
+  } catch (e) {
+    // ignore storage failures
+  }
+}
+
 // Format reward as a compact emoji string, e.g. "20💎" or "8🍵"
 function formatRewardShort(card) {
   if (!card.reward || card.rewardAmount == null) return "";
@@ -74,34 +958,241 @@ function formatRewardShort(card) {
 
   return `
     <span class="reward">
-      ${card.rewardAmount}
-      <img src="${icon}" alt="${card.reward}" class="reward-icon">
+      ${escapeHtml(card.rewardAmount)}
+      <img src="${icon}" alt="${escapeHtml(valueLabel("reward", card.reward))}" class="reward-icon">
     </span>
   `;
 }
 
+// Class suffix for a rarity, e.g. "Very Rare" → "very-rare". Only letters,
+// digits and dashes survive, so card data can't break out of the attribute
+function rarityClassName(rarity) {
+  return String(rarity ?? "").toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "");
+}
+
 // --- 3. Initialisation & data loading ---
 
+// Shown above the table while loading, after a failed load, or when some
+// entries had to be skipped: { kind, key, params, skipped }
+let dataStatus = null;
+
+function showDataStatus(status) {
+  dataStatus = status;
+  renderDataStatus();
+}
+
+function renderDataStatus() {
+  const box = document.getElementById("data-status");
+  if (!box) return;
+
+  box.classList.toggle("hidden", !dataStatus);
+  if (!dataStatus) return;
+
+  const { kind, key, params, skipped = [] } = dataStatus;
+  box.className = `data-status data-status-${kind}`;
+  box.setAttribute("aria-busy", String(kind === "loading"));
+
+  document.getElementById("data-status-message").textContent = t(key, params);
+
+  const list = document.getElementById("data-status-details");
+  list.innerHTML = "";
+  skipped.forEach(({ index, id, problem }) => {
+    const item = document.createElement("li");
+    item.textContent = `#${index + 1}${id ? ` (${id})` : ""}: ${t(`data.problem.${problem}`)}`;
+    list.appendChild(item);
+  });
+
+  document.getElementById("data-status-retry").classList.toggle("hidden", kind !== "error");
+}
+
+// Set fields that aren't text, like `reward: 5`, would break rendering
+function isOptionalText(value) {
+  return value == null || typeof value === "string";
+}
+
+// Why an entry can't be shown, or null when it's usable. Other oddities
+// (a missing image, an unknown rarity) still render; `npm run validate`
+// reports those
+function getCardProblem(card, seenIds) {
+  if (!card || typeof card !== "object" || Array.isArray(card)) return "notObject";
+  if (typeof card.id !== "string" || !card.id) return "noId";
+  if (seenIds.has(card.id)) return "duplicateId";
+  if (!card.character && !card.cardName) return "noName";
+  if (!isOptionalText(card.character) || !isOptionalText(card.cardName)) return "badName";
+  if (!Number.isFinite(card.volume)) return "badVolume";
+  if (!isOptionalText(card.rarity)) return "badRarity";
+  if (!isOptionalText(card.reward)) return "badReward";
+  return null;
+}
+
+// Image paths are used as-is only when relative, http(s) or an inline
+// image; anything else (javascript:, file: …) shows the placeholder
+function safeImageUrl(path) {
+  if (typeof path !== "string") return "";
+
+  const scheme = path.match(/^\s*([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return path;
+
+  const name = scheme[1].toLowerCase();
+  if (name === "http" || name === "https") return path;
+  if (name === "data" && /^\s*data:image\//i.test(path)) return path;
+
+  return PLACEHOLDER_IMAGE;
+}
+
+// Usable entries of a parsed dataset (copies, with safe image paths) and
+// the skipped ones: { valid, skipped: [{ index, id, problem }] }
+function prepareCards(data) {
+  const seenIds = new Set();
+  const valid = [];
+  const skipped = [];
+
+  data.forEach((card, index) => {
+    const problem = getCardProblem(card, seenIds);
+    if (problem) {
+      skipped.push({ index, id: card && typeof card.id === "string" ? card.id : "", problem });
+      return;
+    }
+
+    seenIds.add(card.id);
+
+    const prepared = { ...card };
+    if (card.image !== undefined) prepared.image = safeImageUrl(card.image);
+    if (card.variants !== undefined) {
+      prepared.variants = Array.isArray(card.variants) ? card.variants.map(safeImageUrl).filter(Boolean) : [];
+    }
+
+    valid.push(prepared);
+  });
+
+  return { valid, skipped };
+}
+
+// Returns true once cards are loaded; on failure the error is shown with
+// a retry button
 async function loadCards() {
-  const response = await fetch("data/cards.json");
-  cards = await response.json();
+  showDataStatus({ kind: "loading", key: "data.loading" });
+
+  let data;
+  try {
+    const response = await fetch("data/cards.json");
+    if (!response.ok) {
+      throw new Error(t("data.httpError", { status: response.status }));
+    }
+
+    const text = await response.text();
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(t("data.parseError", { file: "cards.json", error: e.message }));
+    }
+  } catch (e) {
+    showDataStatus({ kind: "error", key: "data.loadFailed", params: { error: e.message } });
+    return false;
+  }
+
+  if (!Array.isArray(data)) {
+    showDataStatus({ kind: "error", key: "data.loadFailed", params: { error: t("data.notList", { file: "cards.json" }) } });
+    return false;
+  }
+
+  // Skip unusable entries instead of failing the whole page
+  const { valid, skipped } = prepareCards(data);
+  cards = valid;
 
   // Preserve original order for stable sorting
   cards.forEach((card, index) => {
     card._index = index;
   });
+
+  if (skipped.length) {
+    showDataStatus({ kind: "warning", key: "data.skipped", params: { count: skipped.length, file: "cards.json" }, skipped });
+  } else {
+    showDataStatus(null);
+  }
+
+  await loadBookSeries();
+  return true;
 }
 
-async function init() {
-  await loadCards();
+// Art that fails to load (a missing file, offline without a cached copy)
+// shows a neutral placeholder instead of a broken image
+const PLACEHOLDER_IMAGE = "images/placeholder.svg";
+
+function attachImageFallback() {
+  // error and load events don't bubble, so listen in the capture phase
+  document.addEventListener("error", (event) => {
+    const img = event.target;
+    if (!(img instanceof HTMLImageElement)) return;
+    if (!img.getAttribute("src") || img.src.endsWith(PLACEHOLDER_IMAGE)) return;
+
+    img.src = PLACEHOLDER_IMAGE;
+    img.classList.add("is-placeholder");
+  }, true);
+
+  document.addEventListener("load", (event) => {
+    const img = event.target;
+    if (img instanceof HTMLImageElement) {
+      img.classList.toggle("is-placeholder", img.src.endsWith(PLACEHOLDER_IMAGE));
+    }
+  }, true);
+}
+
+// The series map is optional: without it every title is its own page
+async function loadBookSeries() {
+  try {
+    const response = await fetch("data/book-series.json");
+    if (!response.ok) return;
+
+    const series = await response.json();
+    bookSeries = new Map();
 
+    Object.entries(series).forEach(([name, titles]) => {
+      titles.forEach(title => bookSeries.set(title, name));
+    });
+  } catch (e) {
+    // ignore – book pages fall back to single titles
+  }
+}
+
+async function init() {
   // now the parser has had time to create the button element
   backToTopBtn = document.getElementById("back-to-top");
 
+  // Language and theme first, so the loading message is already right
+  initLanguage();
   initTheme();
+  attachImageFallback();
+
+  const retryBtn = document.getElementById("data-status-retry");
+  if (retryBtn) retryBtn.addEventListener("click", startCatalogue);
+
+  await startCatalogue();
+}
+
+// Load the dataset, then wire up everything that works on it
+async function startCatalogue() {
+  if (!(await loadCards())) return;
+
+  initViewMode();
+  loadOwnedCards();
   populateFilterOptions();
   attachEventListeners();
-  render();
+  attachCollectionTools();
+  attachRewardCalculator();
+  attachStatistics();
+  attachProfiles();
+  attachComparison();
+  attachOfflineSupport();
+  attachLightbox();
+  attachOverlaySwipe();
+  attachDatasetPreview();
+  attachSavedViews();
+  attachListExport();
+  attachTableColumns();
+
+  // Restore search, filters, sort and open card from the address bar
+  applyUrlState();
 }
 
 
@@ -112,6 +1203,7 @@ function populateFilterOptions() {
   const books = new Set();
   const rarities = new Set();
   const genders = new Set();
+  const rewards = new Set();
 
   cards.forEach(card => {
     if (card.volume != null) volumes.add(card.volume);
@@ -128,6 +1220,7 @@ function populateFilterOptions() {
     }
 
     if (card.rarity) rarities.add(card.rarity);
+    if (card.reward) rewards.add(card.reward);
 
     if (card.gender) {
       if (Array.isArray(card.gender)) {
@@ -138,168 +1231,405 @@ function populateFilterOptions() {
     }
   });
 
-  // Volume
+  // Volume (labels include collection progress, see updateVolumeCompletion)
   [...volumes].sort((a, b) => a - b).forEach(v => {
-    const opt = document.createElement("option");
-    opt.value = String(v);
-    opt.textContent = String(v);
-    filterVolume.appendChild(opt);
+    addFilterOption("volume", String(v), String(v));
   });
+  updateVolumeCompletion();
 
   // Book (each title once, even if used in arrays)
-  [...books].sort().forEach(book => {
-    const opt = document.createElement("option");
-    opt.value = book;
-    opt.textContent = book;
-    filterBook.appendChild(opt);
-  });
+  const collator = getCollator();
+  [...books]
+    .sort((a, b) => collator.compare(translateBookTitle(a), translateBookTitle(b)))
+    .forEach(book => {
+      addFilterOption("book", book, getFilterOptionLabel("book", book));
+    });
 
   // Rarity – fixed canonical order
-  const canonicalRarity = ["Common", "Uncommon", "Rare", "Epic", "Legendary"];
-  canonicalRarity.forEach(rarity => {
+  RARITIES.forEach(rarity => {
     if (rarities.has(rarity)) {
-      const opt = document.createElement("option");
-      opt.value = rarity;
-      opt.textContent = rarity;
-      filterRarity.appendChild(opt);
+      addFilterOption("rarity", rarity, getFilterOptionLabel("rarity", rarity));
+    }
+  });
+
+  // Reward – cups before diamonds
+  REWARD_TYPES.forEach(reward => {
+    if (rewards.has(reward)) {
+      addFilterOption("reward", reward, getFilterOptionLabel("reward", reward));
     }
   });
 
   // Gender – fixed canonical order, but only if present in data
-  const canonicalGender = ["Male", "Female", "Non-binary", "Inanimate"];
-  canonicalGender.forEach(g => {
+  GENDERS.forEach(g => {
     if (genders.has(g)) {
-      const opt = document.createElement("option");
-      opt.value = g;
-      opt.textContent = g;
-      filterGender.appendChild(opt);
+      addFilterOption("gender", g, getFilterOptionLabel("gender", g));
     }
   });
+
+  Object.keys(multiFilters).forEach(syncMultiSelect);
 }
 
-function attachEventListeners() {
-  searchInput.addEventListener("input", render);
-  filterVolume.addEventListener("change", render);
-  filterBook.addEventListener("change", render);
-  filterGender.addEventListener("change", render);
-  filterReward.addEventListener("change", render);
-  filterRarity.addEventListener("change", render);
-
-  // Column header sorting
-  const headers = document.querySelectorAll("#cards-table thead th");
-  headers.forEach(th => {
-    th.addEventListener("click", () => {
-      const key = th.dataset.sortKey;
-      if (!key) return;
+// --- Multi-select filter controls ---
+//
+// Each filter is a toggle button plus a menu of checkboxes; the ticked
+// values live in filterSelections and are mirrored as chips above the table.
 
-      if (currentSort.key === key) {
-        currentSort.direction =
-          currentSort.direction === "asc" ? "desc" : "asc";
-      } else {
-        currentSort.key = key;
-        currentSort.direction = "asc";
-      }
+// Label shown for a filter value in the active language
+function getFilterOptionLabel(name, value) {
+  if (name === "book") return translateBookTitle(value);
+  if (name === "volume") return String(value);
+  return valueLabel(name, value);
+}
 
-      headers.forEach(h => h.classList.remove("sort-asc", "sort-desc"));
-      th.classList.add(
-        currentSort.direction === "asc" ? "sort-asc" : "sort-desc"
-      );
+function addFilterOption(name, value, label) {
+  const menu = multiFilters[name].querySelector(".multi-select-menu");
 
-      render();
-    });
-  });
+  const option = document.createElement("label");
+  option.className = "multi-select-option";
 
-  // Row click → detail view
-  tableBody.addEventListener("click", (event) => {
-    const row = event.target.closest("tr");
-    if (!row) return;
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.value = value;
 
-    const cardId = row.dataset.cardId;
-    if (!cardId) return;
+  const text = document.createElement("span");
+  text.className = "multi-select-option-label";
+  text.textContent = label;
 
-    const card = cards.find(c => c.id === cardId);
-    if (!card) return;
+  option.append(checkbox, text);
+  menu.appendChild(option);
+}
 
-    // Set currentIndex within the current filtered + sorted list
-    const idx = currentList.findIndex(c => c.id === cardId);
-    currentIndex = idx;
+// Reflect filterSelections[name] in the checkboxes and the toggle text
+function syncMultiSelect(name) {
+  const control = multiFilters[name];
+  const selected = filterSelections[name];
 
-    showCardDetails(card);
+  control.querySelectorAll("input[type=checkbox]").forEach(input => {
+    input.checked = selected.has(input.value);
   });
 
-  // Back to top
-  if (backToTopBtn) {
-    backToTopBtn.addEventListener("click", () => {
-      const tableSection = document.getElementById("table-section");
-      const targetY = tableSection ? tableSection.offsetTop : 0;
+  const toggle = control.querySelector(".multi-select-toggle");
+  if (!toggle) return;
 
-      window.scrollTo({
-        top: targetY,
-        behavior: "smooth"
-      });
-    });
+  const values = [...selected];
+  if (values.length === 0) {
+    toggle.textContent = t("filter.all");
+  } else if (values.length <= 2) {
+    toggle.textContent = values.map(value => getFilterOptionLabel(name, value)).join(", ");
+  } else {
+    toggle.textContent = t("filter.selected", { count: values.length });
   }
 
-   window.addEventListener("scroll", () => {
-    if (!backToTopBtn) return;
+  control.classList.toggle("has-selection", values.length > 0);
+}
 
-    // Hide button entirely while the overlay is open
-    const overlay = document.getElementById("mobile-detail-overlay");
-    const overlayOpen = overlay && overlay.classList.contains("open");
-    if (overlayOpen) {
-      backToTopBtn.classList.add("hidden");
-      return;
-    }
+// Replace a filter's selection; unknown values are dropped
+function setFilterValues(name, values) {
+  const known = new Set(
+    [...multiFilters[name].querySelectorAll("input[type=checkbox]")].map(input => input.value)
+  );
 
-    // More robust scroll position detection
-    const scrollTop =
-      window.pageYOffset ||
-      document.documentElement.scrollTop ||
-      document.body.scrollTop ||
-      0;
+  filterSelections[name] = new Set([...values].filter(value => known.has(value)));
+  syncMultiSelect(name);
+}
 
-    if (scrollTop > 200) {
-      backToTopBtn.classList.remove("hidden");
-    } else {
-      backToTopBtn.classList.add("hidden");
-    }
+function closeMultiSelects(except) {
+  Object.values(multiFilters).forEach(control => {
+    if (control === except) return;
+
+    const toggle = control.querySelector(".multi-select-toggle");
+    const menu = control.querySelector(".multi-select-menu");
+    if (menu) menu.classList.add("hidden");
+    if (toggle) toggle.setAttribute("aria-expanded", "false");
   });
+}
 
+function attachMultiSelect(name) {
+  const control = multiFilters[name];
+  const toggle = control.querySelector(".multi-select-toggle");
+  const menu = control.querySelector(".multi-select-menu");
 
-    // Detail overlay
-  const mobileOverlay = document.getElementById("mobile-detail-overlay");
-  const mobileClose = document.getElementById("mobile-detail-close");
+  toggle.addEventListener("click", () => {
+    const opening = menu.classList.contains("hidden");
+    closeMultiSelects(control);
+    menu.classList.toggle("hidden", !opening);
+    toggle.setAttribute("aria-expanded", opening ? "true" : "false");
+  });
 
-  if (mobileOverlay) {
-    function closeOverlay() {
-      mobileOverlay.classList.remove("open");
-      mobileOverlay.classList.add("hidden");
-      document.body.classList.remove("overlay-open");
+  menu.addEventListener("change", (event) => {
+    const checkbox = event.target;
+    if (checkbox.type !== "checkbox") return;
 
-      // After closing, scroll the table to the card we ended on
-      scrollToCurrentCard();
+    if (checkbox.checked) {
+      filterSelections[name].add(checkbox.value);
+    } else {
+      filterSelections[name].delete(checkbox.value);
     }
 
-    if (mobileClose) {
-      mobileClose.addEventListener("click", () => {
-        closeOverlay();
-      });
+    syncMultiSelect(name);
+    render();
+    updateUrl("filter");
+  });
+
+  control.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !menu.classList.contains("hidden")) {
+      event.preventDefault();
+      closeMultiSelects();
+      toggle.focus();
     }
+  });
+}
 
-    mobileOverlay.addEventListener("click", (event) => {
-      // click on the dark backdrop closes; clicks inside the inner card do not
-      if (event.target === mobileOverlay) {
-        closeOverlay();
-      }
-    });
+function renderFilterChips() {
+  const container = document.getElementById("active-filters");
+  if (!container) return;
 
-    // Keyboard navigation while overlay is open (desktop + any keyboard)
-    document.addEventListener("keydown", (event) => {
-      if (!mobileOverlay.classList.contains("open")) return;
+  container.innerHTML = "";
 
-      // Don't hijack keys while the user is typing in a form field
-      const activeTag = document.activeElement && document.activeElement.tagName;
-      if (activeTag === "INPUT" || activeTag === "SELECT" || activeTag === "TEXTAREA") {
+  const addChip = (name, value, label) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "filter-chip";
+    chip.dataset.filter = name;
+    chip.dataset.value = value;
+    chip.setAttribute("aria-label", t("filter.chipRemove", { filter: getFilterLabel(name), value: label }));
+
+    const text = document.createElement("span");
+    text.textContent = `${getFilterLabel(name)}: ${label}`;
+
+    const remove = document.createElement("span");
+    remove.className = "filter-chip-remove";
+    remove.setAttribute("aria-hidden", "true");
+    remove.textContent = "✕";
+
+    chip.append(text, remove);
+    container.appendChild(chip);
+  };
+
+  Object.keys(multiFilters).forEach(name => {
+    filterSelections[name].forEach(value => addChip(name, value, getFilterOptionLabel(name, value)));
+  });
+
+  if (filterOwned.value) {
+    addChip("owned", filterOwned.value,
+      filterOwned.options[filterOwned.selectedIndex].textContent);
+  }
+
+  if (characterFilter) {
+    addChip("character", characterFilter, characterFilter);
+  }
+
+  container.classList.toggle("hidden", container.children.length === 0);
+}
+
+function clearAllFilters() {
+  Object.keys(multiFilters).forEach(name => {
+    filterSelections[name].clear();
+    syncMultiSelect(name);
+  });
+  filterOwned.value = "";
+  characterFilter = "";
+}
+
+function attachEventListeners() {
+  // Typing re-renders once the user pauses; Enter applies it at once
+  let searchTimer = null;
+  const applySearch = () => {
+    clearTimeout(searchTimer);
+    render();
+    updateUrl("search");
+  };
+
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(applySearch, SEARCH_DEBOUNCE_MS);
+  });
+
+  searchInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") applySearch();
+  });
+
+  Object.keys(multiFilters).forEach(attachMultiSelect);
+
+  filterOwned.addEventListener("change", () => {
+    render();
+    updateUrl("filter");
+  });
+
+  // Close open filter menus on any click outside them
+  document.addEventListener("click", (event) => {
+    if (!event.target.closest(".multi-select")) closeMultiSelects();
+  });
+
+  // Chip click removes that one selection
+  const activeFilters = document.getElementById("active-filters");
+  if (activeFilters) {
+    activeFilters.addEventListener("click", (event) => {
+      const chip = event.target.closest(".filter-chip");
+      if (!chip) return;
+
+      const name = chip.dataset.filter;
+      if (name === "owned") {
+        filterOwned.value = "";
+      } else if (name === "character") {
+        characterFilter = "";
+      } else if (filterSelections[name]) {
+        filterSelections[name].delete(chip.dataset.value);
+        syncMultiSelect(name);
+      }
+
+      render();
+      updateUrl("filter");
+    });
+  }
+
+  // Column header sorting (mouse, or Enter/Space on a focused header);
+  // headers are rebuilt when the column layout changes, so delegate
+  const tableHead = cardsTable.querySelector("thead");
+
+  tableHead.addEventListener("click", (event) => {
+    const th = event.target.closest("th[data-sort-key]");
+    if (th) sortByColumn(th.dataset.sortKey);
+  });
+
+  tableHead.addEventListener("keydown", (event) => {
+    const th = event.target.closest("th[data-sort-key]");
+    if (!th || (event.key !== "Enter" && event.key !== " ")) return;
+    event.preventDefault();
+    sortByColumn(th.dataset.sortKey);
+  });
+
+  // Owned checkbox in a row
+  tableBody.addEventListener("change", (event) => {
+    const checkbox = event.target.closest(".owned-toggle");
+    if (!checkbox) return;
+
+    const row = checkbox.closest("tr");
+    if (row && row.dataset.cardId) {
+      setOwned(row.dataset.cardId, checkbox.checked);
+    }
+  });
+
+  // Row click → detail view
+  tableBody.addEventListener("click", (event) => {
+    // Ticking the owned box shouldn't open the card
+    if (event.target.closest(".owned-cell")) return;
+
+    const row = event.target.closest("tr");
+    if (!row) return;
+
+    activateCard(row.dataset.cardId);
+  });
+
+  // Row keyboard: arrows move between rows, Enter opens the focused one
+  tableBody.addEventListener("keydown", (event) => {
+    const row = event.target.closest("tr");
+    if (!row || event.target !== row) return;
+
+    if (event.key === "Enter") {
+      event.preventDefault();
+      activateCard(row.dataset.cardId);
+      return;
+    }
+
+    const moves = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+    if (!(event.key in moves)) return;
+
+    event.preventDefault();
+    focusRowAt(currentList.findIndex(c => c.id === row.dataset.cardId) + moves[event.key]);
+  });
+
+  tableBody.addEventListener("focusin", (event) => {
+    const row = event.target.closest("tr");
+    if (row) setFocusableRow(row.dataset.cardId);
+  });
+
+  // Gallery tile click → detail view
+  if (cardsGallery) {
+    cardsGallery.addEventListener("click", (event) => {
+      const tile = event.target.closest(".gallery-card");
+      if (!tile) return;
+
+      activateCard(tile.dataset.cardId);
+    });
+  }
+
+  // Back to top
+  if (backToTopBtn) {
+    backToTopBtn.addEventListener("click", () => {
+      const tableSection = document.getElementById("table-section");
+      const targetY = tableSection ? tableSection.offsetTop : 0;
+
+      window.scrollTo({
+        top: targetY,
+        behavior: "smooth"
+      });
+    });
+  }
+
+  window.addEventListener("resize", extendRenderWindow);
+
+   window.addEventListener("scroll", () => {
+    extendRenderWindow();
+
+    if (!backToTopBtn) return;
+
+    // Hide button entirely while the overlay is open
+    const overlay = document.getElementById("mobile-detail-overlay");
+    const overlayOpen = overlay && overlay.classList.contains("open");
+    if (overlayOpen) {
+      backToTopBtn.classList.add("hidden");
+      return;
+    }
+
+    // More robust scroll position detection
+    const scrollTop =
+      window.pageYOffset ||
+      document.documentElement.scrollTop ||
+      document.body.scrollTop ||
+      0;
+
+    if (scrollTop > 200) {
+      backToTopBtn.classList.remove("hidden");
+    } else {
+      backToTopBtn.classList.add("hidden");
+    }
+  });
+
+
+    // Detail overlay
+  const mobileOverlay = document.getElementById("mobile-detail-overlay");
+  const mobileClose = document.getElementById("mobile-detail-close");
+
+  if (mobileOverlay) {
+    if (mobileClose) {
+      mobileClose.addEventListener("click", () => {
+        closeOverlay();
+      });
+    }
+
+    mobileOverlay.addEventListener("click", (event) => {
+      // click on the dark backdrop closes; clicks inside the inner card do not
+      if (event.target === mobileOverlay) {
+        closeOverlay();
+      }
+    });
+
+    // Keyboard navigation while overlay is open (desktop + any keyboard)
+    document.addEventListener("keydown", (event) => {
+      if (!mobileOverlay.classList.contains("open")) return;
+
+      // A profile page or the lightbox opened on top handles its own keys
+      if (openProfileState || isLightboxOpen()) return;
+
+      if (event.key === "Tab") {
+        trapFocus(mobileOverlay, event);
+        return;
+      }
+
+      // Don't hijack keys while the user is typing in a form field
+      const activeTag = document.activeElement && document.activeElement.tagName;
+      if (activeTag === "INPUT" || activeTag === "SELECT" || activeTag === "TEXTAREA") {
         return;
       }
 
@@ -317,6 +1647,43 @@ function attachEventListeners() {
   }
 
 
+  // Owned toggle inside the overlay
+  const mobileOwnedBtn = document.getElementById("mobile-detail-owned");
+  if (mobileOwnedBtn) {
+    mobileOwnedBtn.addEventListener("click", () => {
+      if (!openCardId) return;
+      setOwned(openCardId, !ownedCardIds.has(openCardId));
+    });
+  }
+
+  // Variant thumbnails: arrow keys pick the neighbouring appearance
+  const variantThumbnails = document.getElementById("mobile-detail-variant-thumbnails");
+  if (variantThumbnails) {
+    variantThumbnails.addEventListener("keydown", (event) => {
+      const buttons = [...variantThumbnails.querySelectorAll(".variant-thumbnail")];
+      const index = buttons.indexOf(event.target.closest(".variant-thumbnail"));
+      if (index < 0) return;
+
+      const targets = {
+        ArrowLeft: index - 1,
+        ArrowUp: index - 1,
+        ArrowRight: index + 1,
+        ArrowDown: index + 1,
+        Home: 0,
+        End: buttons.length - 1
+      };
+      if (!(event.key in targets)) return;
+
+      // Keep the arrows from also switching cards
+      event.preventDefault();
+      event.stopPropagation();
+
+      const target = buttons[Math.min(Math.max(targets[event.key], 0), buttons.length - 1)];
+      target.click();
+      target.focus();
+    });
+  }
+
   // Navigation arrows (used on all viewports)
   const mobilePrev = document.getElementById("mobile-detail-prev");
   const mobileNext = document.getElementById("mobile-detail-next");
@@ -325,11 +1692,6 @@ function attachEventListeners() {
     mobilePrev.addEventListener("click", (event) => {
       event.stopPropagation();
       showPrevCard();
-
-      // remove focus highlight after click
-      if (event.currentTarget && event.currentTarget.blur) {
-        event.currentTarget.blur();
-      }
     });
   }
 
@@ -337,11 +1699,22 @@ function attachEventListeners() {
     mobileNext.addEventListener("click", (event) => {
       event.stopPropagation();
       showNextCard();
+    });
+  }
 
-      // remove focus highlight after click
-     requestAnimationFrame(() => {
-     event.currentTarget.blur();
-	});
+  // Table / gallery toggle
+  if (viewToggleBtn) {
+    viewToggleBtn.addEventListener("click", () => {
+      const newMode = viewMode === "gallery" ? "table" : "gallery";
+
+      applyViewMode(newMode);
+      render();
+
+      try {
+        localStorage.setItem("viewMode", newMode);
+      } catch (e) {
+        // ignore storage failures
+      }
     });
   }
 
@@ -361,6 +1734,14 @@ function attachEventListeners() {
     });
   }
 
+  // Language switcher
+  const languageSelect = document.getElementById("language-select");
+  if (languageSelect) {
+    languageSelect.addEventListener("change", () => {
+      setLanguage(languageSelect.value);
+    });
+  }
+
   // clear filters and sorting
   const clearFiltersBtn = document.getElementById("clear-filters");
   const clearSortingBtn = document.getElementById("clear-sorting");
@@ -368,303 +1749,455 @@ function attachEventListeners() {
   if (clearFiltersBtn) {
     clearFiltersBtn.addEventListener("click", () => {
       searchInput.value = "";
-      filterVolume.value = "";
-      filterBook.value = "";
-      filterGender.value = "";
-      filterReward.value = "";
-      filterRarity.value = "";
+      clearAllFilters();
       render();
+      updateUrl("filter");
     });
+
+    const emptyClearBtn = document.getElementById("empty-state-clear");
+    if (emptyClearBtn) {
+      emptyClearBtn.addEventListener("click", () => clearFiltersBtn.click());
+    }
   }
 
   if (clearSortingBtn) {
     clearSortingBtn.addEventListener("click", () => {
       currentSort = { key: "volume", direction: "asc" };
+      userSorted = false;
 
-      const headers = document.querySelectorAll("#cards-table thead th");
-      headers.forEach(h => h.classList.remove("sort-asc", "sort-desc"));
-
+      updateSortIndicators(false);
       render();
+      updateUrl("sort");
     });
   }
-}
-
-// --- 5. Filtering, sorting, rendering ---
 
-function matchesGender(card, selectedGender) {
-  if (!selectedGender) return true;
+  // Back/forward restore whatever state that history entry was showing
+  window.addEventListener("popstate", applyUrlState);
+}
 
-  const g = card.gender;
-  if (!g) return false;
+// Sort by a column, flipping the direction when it is already the sort key
+function sortByColumn(key) {
+  if (!key) return;
 
-  if (Array.isArray(g)) {
-    return g.includes(selectedGender);
+  if (currentSort.key === key) {
+    currentSort.direction =
+      currentSort.direction === "asc" ? "desc" : "asc";
+  } else {
+    currentSort.key = key;
+    currentSort.direction = "asc";
   }
 
-  return g === selectedGender;
+  userSorted = true;
+  updateSortIndicators();
+  render();
+  updateUrl("sort");
 }
 
-// book matching that supports string or array
-function matchesBook(card, selectedBook) {
-  if (!selectedBook) return true; // no filter selected
-
-  const b = card.book;
-  if (!b) return false;
+// Mark the header of the active sort column (visually and with aria-sort);
+// pass false to clear all marks
+function updateSortIndicators(showIndicator = true) {
+  const headers = document.querySelectorAll("#cards-table thead th");
+  headers.forEach(h => {
+    h.classList.remove("sort-asc", "sort-desc");
+    h.removeAttribute("aria-sort");
+
+    if (showIndicator && h.dataset.sortKey === currentSort.key) {
+      const ascending = currentSort.direction === "asc";
+      h.classList.add(ascending ? "sort-asc" : "sort-desc");
+      h.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+    }
+  });
+}
 
-  if (Array.isArray(b)) {
-    return b.includes(selectedBook);
-  }
+// --- 5. Filtering, sorting, rendering ---
 
-  return b === selectedBook;
+// The search box and filter panel as a query for filterCards()
+function getCardQuery() {
+  return {
+    test: getParsedSearch().test,
+    ...filterSelections,
+    owned: filterOwned.value,
+    character: characterFilter,
+    ownedIds: ownedCardIds
+  };
 }
 
 function getFilteredCards() {
-  const searchTerm = searchInput.value.trim().toLowerCase();
-  const vol = filterVolume.value;
-  const book = filterBook.value;
-  const gender = filterGender.value;
-  const reward = filterReward.value;
-  const rarity = filterRarity.value;
+  return filterCards(cards, getCardQuery());
+}
 
-  return cards.filter(card => {
-    if (searchTerm) {
-      const inCardName = card.cardName.toLowerCase().includes(searchTerm);
-      const inCharacter = card.character.toLowerCase().includes(searchTerm);
-      if (!inCardName && !inCharacter) return false;
-    }
+// Sort by the chosen column, in the active language
+function sortByCurrentSort(list) {
+  return sortCards(list, currentSort, { collator: getCollator(), getText: getCardText });
+}
 
-    if (vol && String(card.volume) !== vol) return false;
+function render() {
+  const search = getParsedSearch();
+  showSearchError(search.error);
 
-    // BOOK filter via helper (handles arrays)
-    if (!matchesBook(card, book)) return false;
+  const filtered = getFilteredCards();
 
-    if (!matchesGender(card, gender)) return false;
-    if (reward && card.reward !== reward) return false;
-    if (rarity && card.rarity !== rarity) return false;
+  // Free-text searches list the best matches first, unless the user
+  // has picked a column to sort by
+  const sorted = search.terms.length && !userSorted
+    ? rankBySearchRelevance(sortByCurrentSort(filtered), search.terms)
+    : sortByCurrentSort(filtered);
 
-    return true;
-  });
-}
+  // keep the current navigation list in sync with what the user sees
+  currentList = sorted;
 
-function sortCards(list) {
-  const { key, direction } = currentSort;
-  const factor = direction === "asc" ? 1 : -1;
+  // the open card may have moved (or dropped out) after e.g. an owned toggle
+  if (openCardId) {
+    currentIndex = currentList.findIndex(c => c.id === openCardId);
+  }
 
-  const rarityOrder = {
-    Common: 0,
-    Uncommon: 1,
-    Rare: 2,
-    Epic: 3,
-    Legendary: 4
-  };
+  // A different list starts again from its first chunk
+  const listKey = getListKey();
+  if (listKey !== renderedListKey) {
+    renderedListKey = listKey;
+    renderedCount = RENDER_CHUNK;
+  }
 
-  // Cups before Diamonds; others last
-  const rewardTypeOrder = {
-    Cups: 0,
-    Diamonds: 1
-  };
+  renderedTerms = search.terms;
+  renderWindow();
+  extendRenderWindow();
 
-  // Map rewards into a common "tier" space: 2,4,8,12 for both cups/diamonds
-  function rewardTier(card) {
-    const amount = card.rewardAmount ?? 0;
-    if (!card.reward) return 9999;
-    if (card.reward === "Cups") return amount;            // 2,4,8,12
-    if (card.reward === "Diamonds") return amount / 10;  // 20→2, 40→4...
-    return 9999;
-  }
-
-  // For descending reward sort: diamonds dominate and higher amounts first
-  function rewardDescScore(card) {
-    const amt = card.rewardAmount ?? 0;
-    if (card.reward === "Diamonds") return amt * 2; // always above cups
-    if (card.reward === "Cups") return amt;         // 12 > 8 > 4 > 2
-    return -1;
-  }
-
-  return [...list].sort((a, b) => {
-    // --- Special: rarity ---
-    if (key === "rarity") {
-      const ra = rarityOrder[a.rarity] ?? 999;
-      const rb = rarityOrder[b.rarity] ?? 999;
-
-      // 1) rarity rank, honouring asc/desc
-      if (ra !== rb) return (ra - rb) * factor;
-
-      // 2) reward tier: asc or desc depending on direction
-      const ta = rewardTier(a);
-      const tb = rewardTier(b);
-
-      if (ta !== tb) {
-        if (direction === "asc") {
-          return ta - tb;
-        } else {
-          return tb - ta; // reverse tier only
-        }
-      }
-
-      // 3) volume: always ascending
-      const va = a.volume ?? 9999;
-      const vb = b.volume ?? 9999;
-      if (va !== vb) return va - vb;
-
-      // 4) reward type: cups before diamonds
-      const rta = rewardTypeOrder[a.reward] ?? 999;
-      const rtb = rewardTypeOrder[b.reward] ?? 999;
-      if (rta !== rtb) return rta - rtb;
-
-      // 5) fallback: original index
-      return a._index - b._index;
-    }
-
-    // --- Special: reward (type/amount/volume) ---
-    if (key === "reward") {
-      if (direction === "asc") {
-        // Ascending:
-        // 1) Cups before Diamonds
-        // 2) Amount ascending
-        // 3) Volume ascending
-        const ta = rewardTypeOrder[a.reward] ?? 999;
-        const tb = rewardTypeOrder[b.reward] ?? 999;
-        if (ta !== tb) return ta - tb;
-
-        const aa = a.rewardAmount ?? 0;
-        const ab = b.rewardAmount ?? 0;
-        if (aa !== ab) return aa - ab;
-
-        const va = a.volume ?? 9999;
-        const vb = b.volume ?? 9999;
-        if (va !== vb) return va - vb;
-
-        return a._index - b._index;
-      } else {
-        // Descending:
-        // 1) score so Diamonds outrank Cups, bigger first:
-        //    120d, 80d, 40d, 20d, 12c, 8c, 4c, 2c
-        // 2) volume ascending within same amount
-        const sa = rewardDescScore(a);
-        const sb = rewardDescScore(b);
-        if (sa !== sb) return sb - sa; // bigger score first
+  const countText = t("results.count", { count: sorted.length });
+  if (resultsCount.textContent !== countText) {
+    resultsCount.textContent = countText;
+    announce(countText);
+  }
 
-        const va = a.volume ?? 9999;
-        const vb = b.volume ?? 9999;
-        if (va !== vb) return va - vb;
+  renderEmptyState(sorted.length);
 
-        return a._index - b._index;
-      }
-    }
+  renderFilterChips();
+  syncSavedViewSelect();
 
-    // --- Default behaviour for everything else ---
-    let va = a[key];
-    let vb = b[key];
+  updateRewardCalculator();
+}
+
+// Explain an empty list: nothing loaded, or nothing left after filtering
+function renderEmptyState(count) {
+  const box = document.getElementById("empty-state");
+  if (!box) return;
 
-    // If a field is an array (e.g. gender or book tags), sort by the first item
-    if (Array.isArray(va)) va = va[0];
-    if (Array.isArray(vb)) vb = vb[0];
+  box.classList.toggle("hidden", count > 0);
+  if (count > 0) return;
 
-    if (typeof va === "string") va = va.toLowerCase();
-    if (typeof vb === "string") vb = vb.toLowerCase();
+  document.getElementById("empty-state-message").textContent =
+    t(cards.length === 0 ? "data.empty" : "data.noResults");
+  document.getElementById("empty-state-clear").classList.toggle("hidden", cards.length === 0);
+}
 
-    if (va < vb) return -1 * factor;
-    if (va > vb) return 1 * factor;
+// Rows and tiles are built once per card and kept here by id, so a new
+// search only reorders existing elements (and their already-loaded art)
+// instead of recreating them. Each entry remembers the search terms its
+// highlights were drawn for.
+const rowCache = new Map();
+const tileCache = new Map();
+let renderCacheFor = null;
+
+// Cards are rendered in chunks as the page scrolls; the window resets
+// whenever the search, filters or sort change
+const RENDER_CHUNK = 60;
+let renderedCount = RENDER_CHUNK;
+let renderedListKey = null;
+let renderedTerms = [];
+
+// Everything that decides which cards are listed and in what order
+function getListKey() {
+  return JSON.stringify([
+    searchInput.value.trim(),
+    Object.keys(multiFilters).map(name => [...filterSelections[name]]),
+    filterOwned.value,
+    characterFilter,
+    userSorted ? currentSort : null
+  ]);
+}
 
-    return a._index - b._index;
+// Put `elements` into `container` in order, moving only what is out of place
+function reconcileChildren(container, elements) {
+  elements.forEach((element, i) => {
+    const current = container.children[i];
+    if (current !== element) {
+      container.insertBefore(element, current ?? null);
+    }
   });
+
+  while (container.children.length > elements.length) {
+    container.lastElementChild.remove();
+  }
 }
 
-function render() {
-  const filtered = getFilteredCards();
-  const sorted = sortCards(filtered);
+function createTableRow(card) {
+  const tr = document.createElement("tr");
+  tr.dataset.cardId = card.id;
+  tr.tabIndex = -1;
 
-  // keep the current navigation list in sync with what the user sees
-  currentList = sorted;
+  // cells follow the column layout (section 21)
+  tr.innerHTML = buildTableCells(card);
 
-  tableBody.innerHTML = "";
+  return tr;
+}
 
-  sorted.forEach(card => {
-    const tr = document.createElement("tr");
-    tr.dataset.cardId = card.id;
+function getTableRow(card, searchTerms) {
+  let entry = rowCache.get(card.id);
 
-    const rewardDisplay = formatRewardShort(card);
+  if (!entry) {
+    entry = { element: createTableRow(card), terms: null };
+    rowCache.set(card.id, entry);
+  }
 
-    const thumbHtml = card.image
-      ? `<img src="${card.image}"
-           alt="${card.character ?? ""}"
-           class="thumb-image"
-           loading="lazy"
-           decoding="async">`
-      : "";
+  const tr = entry.element;
 
-    const rarityClass = card.rarity
-      ? `rarity-${card.rarity.toLowerCase().replace(/\s+/g, "-")}`
-      : "";
+  // Either column may be hidden
+  if (entry.terms !== searchTerms) {
+    const nameCell = tr.querySelector(".col-cardName");
+    const characterCell = tr.querySelector(".col-character");
+    if (nameCell) nameCell.innerHTML = highlightSearchMatches(getCardText(card, "cardName"), searchTerms);
+    if (characterCell) characterCell.innerHTML = highlightSearchMatches(card.character, searchTerms);
+    entry.terms = searchTerms;
+  }
 
-    tr.innerHTML = `
-      <td class="thumb-cell">${thumbHtml}</td>
-      <td class="col-cardName">${card.cardName ?? ""}</td>
-      <td>${card.character ?? ""}</td>
-      <td>${card.volume ?? ""}</td>
-      <td class="${rarityClass}">${card.rarity ?? ""}</td>
-      <td>${rewardDisplay}</td>
-    `;
+  tr.classList.toggle("is-picked", pickedCardIds.has(card.id));
 
-    tableBody.appendChild(tr);
-  });
+  const ownedToggle = tr.querySelector(".owned-toggle");
+  if (ownedToggle) ownedToggle.checked = ownedCardIds.has(card.id);
 
-  resultsCount.textContent =
-    `${sorted.length} card${sorted.length === 1 ? "" : "s"} shown`;
+  return tr;
 }
 
-function showPrevCard() {
-  if (!currentList || currentIndex <= 0) return;
-  currentIndex -= 1;
-  const card = currentList[currentIndex];
-  if (card) {
-    showCardDetails(card);
-  }
-}
+function renderTableRows(sorted, searchTerms) {
+  reconcileChildren(tableBody, sorted.map(card => getTableRow(card, searchTerms)));
 
-function showNextCard() {
-  if (!currentList || currentIndex < 0 || currentIndex >= currentList.length - 1) return;
-  currentIndex += 1;
-  const card = currentList[currentIndex];
-  if (card) {
-    showCardDetails(card);
-  }
+  // Keep one row in the tab order: the last focused one, or the first
+  const keep = sorted.some(card => card.id === focusableRowId);
+  setFocusableRow(keep ? focusableRowId : sorted[0]?.id);
 }
 
-function scrollTableToCard(cardId) {
-  if (!cardId) return;
-
-  const row = document.querySelector(
-    `#cards-table tbody tr[data-card-id="${cardId}"]`
-  );
-  if (!row) return;
+// Only one row at a time is reachable with Tab; the arrow keys move
+// between rows from there
+let focusableRowId = null;
 
-  const rect = row.getBoundingClientRect();
-  const absoluteY = window.pageYOffset + rect.top;
+function setFocusableRow(cardId) {
+  const previous = rowCache.get(focusableRowId);
+  if (previous) previous.element.tabIndex = -1;
 
-  // Offset so the row isn't glued to the very top of the viewport.
-  const offset = 120; // tweak to taste
-  const targetY = Math.max(absoluteY - offset, 0);
+  focusableRowId = cardId ?? null;
 
-  window.scrollTo({
-    top: targetY,
-    behavior: "smooth"
-  });
+  const next = rowCache.get(focusableRowId);
+  if (next) next.element.tabIndex = 0;
 }
 
-function scrollToCurrentCard() {
-  if (!currentList || currentIndex < 0 || currentIndex >= currentList.length) {
-    return;
-  }
-  const card = currentList[currentIndex];
-  if (!card) return;
+// Focus the row at a position in currentList, rendering it if needed
+function focusRowAt(index) {
+  if (currentList.length === 0) return;
 
-  scrollTableToCard(card.id);
+  const card = currentList[Math.min(Math.max(index, 0), currentList.length - 1)];
+  ensureCardRendered(card.id);
+
+  const entry = rowCache.get(card.id);
+  if (!entry) return;
+
+  setFocusableRow(card.id);
+  entry.element.focus();
 }
 
-function renderCardVariants(card) {
-  const variantsContainer = document.getElementById("mobile-detail-variants");
+function createGalleryTile(card) {
+  const tile = document.createElement("button");
+  tile.type = "button";
+  tile.className = "gallery-card";
+  tile.dataset.cardId = card.id;
+
+  if (card.rarity) {
+    tile.classList.add(`rarity-frame-${rarityClassName(card.rarity)}`);
+  }
+
+  const imageHtml = card.image
+    ? `<img src="${escapeHtml(card.image)}"
+         alt="${escapeHtml(`${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`)}"
+         class="gallery-image"
+         loading="lazy"
+         decoding="async">`
+    : `<span class="gallery-image gallery-image-missing"></span>`;
+
+  tile.innerHTML = `
+    ${imageHtml}
+    <span class="gallery-badge">${formatRewardShort(card)}</span>
+    <span class="gallery-owned" role="img" aria-label="${escapeHtml(t("card.owned"))}">✓</span>
+    <span class="gallery-caption">
+      <span class="gallery-character"></span>
+      <span class="gallery-name"></span>
+      <span class="gallery-meta">${escapeHtml(t("volume.short", { volume: card.volume ?? "?" }))} · ${escapeHtml(valueLabel("rarity", card.rarity))}</span>
+    </span>
+  `;
+
+  return tile;
+}
+
+// Full-size art in a responsive grid, framed by rarity
+function getGalleryTile(card, searchTerms) {
+  let entry = tileCache.get(card.id);
+
+  if (!entry) {
+    entry = { element: createGalleryTile(card), terms: null };
+    tileCache.set(card.id, entry);
+  }
+
+  const tile = entry.element;
+
+  if (entry.terms !== searchTerms) {
+    tile.querySelector(".gallery-character").innerHTML = highlightSearchMatches(card.character, searchTerms);
+    tile.querySelector(".gallery-name").innerHTML = highlightSearchMatches(getCardText(card, "cardName"), searchTerms);
+    entry.terms = searchTerms;
+  }
+
+  tile.classList.toggle("is-picked", pickedCardIds.has(card.id));
+  tile.classList.toggle("is-owned", ownedCardIds.has(card.id));
+
+  return tile;
+}
+
+function renderGallery(sorted, searchTerms) {
+  if (!cardsGallery) return;
+
+  reconcileChildren(cardsGallery, sorted.map(card => getGalleryTile(card, searchTerms)));
+}
+
+// Draw the first `renderedCount` cards of currentList into the active view
+function renderWindow() {
+  // a reloaded dataset brings new card objects
+  if (renderCacheFor !== cards) {
+    rowCache.clear();
+    tileCache.clear();
+    renderCacheFor = cards;
+  }
+
+  const visible = currentList.slice(0, renderedCount);
+
+  // Only the visible view is filled; the other is emptied
+  if (viewMode === "gallery") {
+    tableBody.replaceChildren();
+    renderGallery(visible, renderedTerms);
+  } else {
+    if (cardsGallery) cardsGallery.replaceChildren();
+    renderTableRows(visible, renderedTerms);
+  }
+}
+
+// Render more chunks while the end of the list is in (or near) view. A
+// chunk that doesn't fill the screen never scrolls, so this also runs
+// after every render and resize, not only on scroll
+function extendRenderWindow() {
+  const container = viewMode === "gallery" ? cardsGallery : tableBody;
+  // nothing to measure while the list isn't laid out
+  if (!container || container.getClientRects().length === 0) return;
+
+  while (renderedCount < currentList.length &&
+         container.getBoundingClientRect().bottom - window.innerHeight < window.innerHeight) {
+    renderedCount += RENDER_CHUNK;
+    renderWindow();
+  }
+}
+
+// Make sure a card's row exists before scrolling to or focusing it
+function ensureCardRendered(cardId) {
+  const index = currentList.findIndex(card => card.id === cardId);
+  if (index < renderedCount) return;
+
+  renderedCount = Math.ceil((index + 1) / RENDER_CHUNK) * RENDER_CHUNK;
+  renderWindow();
+}
+
+// The row or gallery tile showing a card in the active view
+function getCardElement(cardId) {
+  const selector = viewMode === "gallery"
+    ? "#cards-gallery .gallery-card"
+    : "#cards-table tbody tr";
+
+  // Ids can arrive from a shared link, so escape them for the selector
+  return document.querySelector(`${selector}[data-card-id="${CSS.escape(cardId)}"]`);
+}
+
+// Row or tile activation: pick it for the calculator, or open the overlay
+function activateCard(cardId) {
+  if (!cardId) return;
+
+  if (pickMode) {
+    togglePicked(cardId);
+    return;
+  }
+
+  const card = cards.find(c => c.id === cardId);
+  if (!card) return;
+
+  // Set currentIndex within the current filtered + sorted list
+  const idx = currentList.findIndex(c => c.id === cardId);
+  currentIndex = idx;
+
+  showCardDetails(card);
+}
+
+function showPrevCard() {
+  if (!currentList || currentIndex <= 0) return;
+  currentIndex -= 1;
+  const card = currentList[currentIndex];
+  if (card) {
+    showCardDetails(card);
+    announceCardPosition(card);
+  }
+}
+
+function showNextCard() {
+  if (!currentList || currentIndex < 0 || currentIndex >= currentList.length - 1) return;
+  currentIndex += 1;
+  const card = currentList[currentIndex];
+  if (card) {
+    showCardDetails(card);
+    announceCardPosition(card);
+  }
+}
+
+function announceCardPosition(card) {
+  announce(t("card.position", {
+    index: currentIndex + 1,
+    total: currentList.length,
+    name: `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`
+  }));
+}
+
+function scrollTableToCard(cardId) {
+  if (!cardId) return;
+
+  ensureCardRendered(cardId);
+  const row = getCardElement(cardId);
+  if (!row) return;
+
+  const rect = row.getBoundingClientRect();
+  const absoluteY = window.pageYOffset + rect.top;
+
+  // Offset so the row isn't glued to the very top of the viewport.
+  const offset = 120; // tweak to taste
+  const targetY = Math.max(absoluteY - offset, 0);
+
+  window.scrollTo({
+    top: targetY,
+    behavior: "smooth"
+  });
+}
+
+function scrollToCurrentCard() {
+  if (!currentList || currentIndex < 0 || currentIndex >= currentList.length) {
+    return;
+  }
+  const card = currentList[currentIndex];
+  if (!card) return;
+
+  scrollTableToCard(card.id);
+}
+
+function renderCardVariants(card) {
+  const variantsContainer = document.getElementById("mobile-detail-variants");
   const thumbnailsContainer = document.getElementById("mobile-detail-variant-thumbnails");
   const countElement = document.getElementById("mobile-detail-variant-count");
 
@@ -700,11 +2233,14 @@ function renderCardVariants(card) {
       button.classList.add("selected");
     }
 
-    button.setAttribute("aria-label", `Appearance ${index + 1} of ${variants.length}`);
+    // Arrow keys move between thumbnails, so only the selected one takes Tab
+    button.tabIndex = index === currentVariantIndex ? 0 : -1;
+    button.setAttribute("aria-pressed", String(index === currentVariantIndex));
+    button.setAttribute("aria-label", t("card.appearanceOf", { index: index + 1, total: variants.length }));
 
     const img = document.createElement("img");
     img.src = imagePath;
-    img.alt = `Appearance ${index + 1}`;
+    img.alt = t("card.appearance", { index: index + 1 });
     img.loading = "lazy";
     img.decoding = "async";
 
@@ -712,28 +2248,7 @@ function renderCardVariants(card) {
 
     button.addEventListener("click", (event) => {
       event.stopPropagation();
-
-      currentVariantIndex = index;
-
-      const mainImage = document.getElementById("mobile-detail-image");
-
-      if (mainImage) {
-        mainImage.src = variants[currentVariantIndex];
-        mainImage.alt = `${card.character ?? ""} – ${card.cardName ?? ""}`;
-      }
-
-      // Update selected thumbnail
-      thumbnailsContainer
-        .querySelectorAll(".variant-thumbnail")
-        .forEach((thumbnail, thumbnailIndex) => {
-          thumbnail.classList.toggle(
-            "selected",
-            thumbnailIndex === currentVariantIndex
-          );
-        });
-
-      countElement.textContent =
-        `${currentVariantIndex + 1} / ${variants.length}`;
+      showVariant(index);
     });
 
     thumbnailsContainer.appendChild(button);
@@ -743,20 +2258,63 @@ function renderCardVariants(card) {
     `${currentVariantIndex + 1} / ${variants.length}`;
 }
 
-function showCardDetails(card) {
+// Switch the open card to another of its appearances
+function showVariant(index) {
+  const card = cards.find(c => c.id === openCardId);
+  if (!card) return;
+
+  const variants = getCardVariants(card);
+  if (index < 0 || index >= variants.length) return;
+
+  currentVariantIndex = index;
+  updateUrl("cardStep");
+
+  const mainImage = document.getElementById("mobile-detail-image");
+
+  if (mainImage) {
+    mainImage.src = variants[currentVariantIndex];
+    mainImage.alt = `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`;
+  }
+
+  // Update selected thumbnail
+  const thumbnailsContainer = document.getElementById("mobile-detail-variant-thumbnails");
+  if (thumbnailsContainer) {
+    thumbnailsContainer
+      .querySelectorAll(".variant-thumbnail")
+      .forEach((thumbnail, thumbnailIndex) => {
+        const selected = thumbnailIndex === currentVariantIndex;
+        thumbnail.classList.toggle("selected", selected);
+        thumbnail.tabIndex = selected ? 0 : -1;
+        thumbnail.setAttribute("aria-pressed", String(selected));
+      });
+  }
+
+  const countElement = document.getElementById("mobile-detail-variant-count");
+  if (countElement) {
+    countElement.textContent =
+      `${currentVariantIndex + 1} / ${variants.length}`;
+  }
+
+  if (isLightboxOpen()) updateLightbox();
+}
+
+// variantIndex picks the initially shown appearance (used by shared links)
+function showCardDetails(card, variantIndex = 0) {
   // Derived display strings
-  const bookDisplay = Array.isArray(card.book)
-    ? card.book.join("\n")
-    : (card.book ?? "");
+  const bookDisplay = getCardBooks(card).map(translateBookTitle).join("\n");
+
+  const genderDisplay = [].concat(card.gender ?? [])
+    .map(g => valueLabel("gender", g))
+    .join(", ");
 
-  const genderDisplay = Array.isArray(card.gender)
-    ? card.gender.join(", ")
-    : (card.gender ?? "");
+  const cardName = getCardText(card, "cardName");
 
   // --- overlay version (all viewports) ---
   const mobileOverlay = document.getElementById("mobile-detail-overlay");
   if (!mobileOverlay) return;
 
+  const wasOpen = mobileOverlay.classList.contains("open");
+
   const mImageWrapper = document.getElementById("mobile-detail-image-wrapper");
   const mImageEl = document.getElementById("mobile-detail-image");
   const mTitleEl = document.getElementById("mobile-detail-title");
@@ -773,26 +2331,29 @@ function showCardDetails(card) {
   if (card.image && mImageWrapper && mImageEl) {
     mImageWrapper.classList.remove("hidden");
 
-    // Start every newly opened card on its representative image
-    currentVariantIndex = 0;
-
     const variants = Array.isArray(card.variants)
       ? card.variants.filter(Boolean)
       : [];
 
-    // If variants exist, use the first variant as the initial image.
+    // Start every newly opened card on its representative image,
+    // unless a valid appearance was requested
+    currentVariantIndex =
+      variantIndex > 0 && variantIndex < variants.length ? variantIndex : 0;
+
+    // If variants exist, use the selected variant as the initial image.
     // Otherwise use the normal card.image.
     if (variants.length > 0) {
-      mImageEl.src = variants[0];
+      mImageEl.src = variants[currentVariantIndex];
     } else {
       mImageEl.src = card.image;
     }
 
-    mImageEl.alt = `${card.character ?? ""} – ${card.cardName ?? ""}`;
+    mImageEl.alt = `${card.character ?? ""} – ${cardName ?? ""}`;
 
     renderCardVariants(card);
 
   } else if (mImageWrapper && mImageEl) {
+    currentVariantIndex = 0;
     mImageWrapper.classList.add("hidden");
     mImageEl.removeAttribute("src");
     mImageEl.alt = "";
@@ -807,16 +2368,19 @@ function showCardDetails(card) {
 
   // text fields
   if (mTitleEl) {
-    mTitleEl.textContent = `${card.character ?? ""} – ${card.cardName ?? ""}`;
+    mTitleEl.textContent = `${card.character ?? ""} – ${cardName ?? ""}`;
   }
-  if (mCharEl) mCharEl.textContent = card.character ?? "";
-  if (mCardNameEl) mCardNameEl.textContent = card.cardName ?? "";
+  if (mCharEl) renderCharacterLinks(mCharEl, card);
+  if (mCardNameEl) mCardNameEl.textContent = cardName ?? "";
   if (mVolumeEl) mVolumeEl.textContent = card.volume ?? "";
-  if (mBookEl) mBookEl.textContent = bookDisplay;
+  if (mBookEl) renderBookLinks(mBookEl, card, bookDisplay);
   if (mGenderEl) mGenderEl.textContent = genderDisplay;
   if (mRewardEl) mRewardEl.innerHTML = formatRewardShort(card);
-  if (mRarityEl) mRarityEl.textContent = card.rarity ?? "";
-  if (mMessageEl) mMessageEl.textContent = card.message ?? "";
+  if (mRarityEl) mRarityEl.textContent = valueLabel("rarity", card.rarity);
+  if (mMessageEl) mMessageEl.textContent = getCardText(card, "message") ?? "";
+
+  updateOwnedButton(card.id);
+  updateCompareButton(card.id);
 
   // Show/hide prev/next arrows based on currentIndex
   const mPrevBtn = document.getElementById("mobile-detail-prev");
@@ -845,8 +2409,4535 @@ function showCardDetails(card) {
 
   // lock background scroll
   document.body.classList.add("overlay-open");
+
+  // Move focus into the dialog when it opens, and back into it whenever the
+  // focused control went away (a hidden arrow, a re-rendered link)
+  if (!wasOpen) {
+    rememberDialogOpener(mobileOverlay);
+  }
+  if (!wasOpen || (!openProfileState && !isLightboxOpen() && !hasFocusWithin(mobileOverlay))) {
+    document.getElementById("mobile-detail-close")?.focus();
+  }
+
+  openCardId = card.id;
+  // Opening pushes one entry; moving on while open replaces it
+  updateUrl(wasOpen ? "cardStep" : "card");
+
+  if (isLightboxOpen()) updateLightbox();
+}
+
+function closeOverlay() {
+  const mobileOverlay = document.getElementById("mobile-detail-overlay");
+  if (!mobileOverlay) return;
+
+  if (isLightboxOpen()) closeLightbox();
+  resetOverlaySwipe();
+
+  mobileOverlay.classList.remove("open");
+  mobileOverlay.classList.add("hidden");
+  document.body.classList.remove("overlay-open");
+
+  openCardId = null;
+  updateUrl("card");
+
+  // After closing, scroll the table to the card we ended on
+  scrollToCurrentCard();
+
+  // Focus goes back where it came from; if that was a row or tile, to the
+  // one for the card the user navigated to
+  const opener = takeDialogOpener(mobileOverlay);
+  const currentCard = currentList[currentIndex];
+  const fromList = opener &&
+    (tableBody.contains(opener) || (cardsGallery && cardsGallery.contains(opener)));
+  const target = fromList && currentCard ? getCardElement(currentCard.id) : opener;
+
+  if (target && target.isConnected) {
+    target.focus({ preventScroll: true });
+  }
+}
+
+// --- Dialog focus and announcements ---
+
+// Element that had focus before each open dialog, to return it on close
+const dialogOpeners = new Map();
+
+function rememberDialogOpener(dialog) {
+  if (!dialogOpeners.has(dialog)) {
+    dialogOpeners.set(dialog, document.activeElement);
+  }
+}
+
+function takeDialogOpener(dialog) {
+  const opener = dialogOpeners.get(dialog);
+  dialogOpeners.delete(dialog);
+  return opener;
+}
+
+// Visible controls in the dialog that Tab can reach
+function getFocusableElements(container) {
+  return [...container.querySelectorAll("a[href], button, input, select, textarea, [tabindex]")]
+    .filter(el => el.tabIndex >= 0 && !el.disabled && !el.closest(".hidden"));
+}
+
+function hasFocusWithin(container) {
+  const active = document.activeElement;
+  return Boolean(active && active !== document.body &&
+    container.contains(active) && !active.closest(".hidden"));
+}
+
+// Keep Tab / Shift+Tab cycling through the dialog's own controls
+function trapFocus(container, event) {
+  const focusable = getFocusableElements(container);
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (!hasFocusWithin(container)) {
+    event.preventDefault();
+    (event.shiftKey ? last : first).focus();
+  } else if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// Read a short status message out to screen readers
+function announce(message) {
+  const region = document.getElementById("live-announcer");
+  if (region) region.textContent = message;
+}
+
+// --- 6. Shareable URL state ---
+
+// Query-string names for every piece of state a link can carry
+const URL_PARAMS = {
+  search: "q",
+  volume: "vol",
+  rarity: "rarity",
+  reward: "reward",
+  book: "book",
+  gender: "gender",
+  owned: "owned",
+  characterFilter: "who",
+  sortKey: "sort",
+  sortDirection: "dir",
+  card: "card",
+  variant: "v",
+  character: "char",
+  story: "story",
+  compared: "cmp",
+  compareOpen: "compare"
+};
+
+// While state is being restored from the URL, renders and overlay
+// changes must not push history entries of their own
+let isRestoringUrlState = false;
+
+// What caused the last history change; consecutive search keystrokes
+// share one entry instead of flooding the back button, and so does every
+// card or appearance stepped to in the open overlay, so Back closes it
+let lastUrlChange = null;
+
+function buildUrlParams() {
+  const params = new URLSearchParams();
+
+  const search = searchInput.value.trim();
+  if (search) params.set(URL_PARAMS.search, search);
+
+  // Multi-select filters repeat their parameter: ?vol=5&vol=10
+  Object.keys(multiFilters).forEach(name => {
+    filterSelections[name].forEach(value => params.append(URL_PARAMS[name], value));
+  });
+  if (filterOwned.value) params.set(URL_PARAMS.owned, filterOwned.value);
+  if (characterFilter) params.set(URL_PARAMS.characterFilter, characterFilter);
+
+  if (userSorted) {
+    params.set(URL_PARAMS.sortKey, currentSort.key);
+    params.set(URL_PARAMS.sortDirection, currentSort.direction);
+  }
+
+  comparedCardIds.forEach(id => params.append(URL_PARAMS.compared, id));
+
+  if (openProfileState && openProfileState.type === "character") {
+    params.set(URL_PARAMS.character, openProfileState.key);
+  } else if (openProfileState && openProfileState.type === "book") {
+    params.set(URL_PARAMS.story, openProfileState.key);
+  } else if (openProfileState && openProfileState.type === "compare") {
+    params.set(URL_PARAMS.compareOpen, "1");
+  }
+
+  if (openCardId) {
+    params.set(URL_PARAMS.card, openCardId);
+    if (currentVariantIndex > 0) {
+      params.set(URL_PARAMS.variant, String(currentVariantIndex));
+    }
+  }
+
+  return params;
+}
+
+// Write the current state into the address bar
+function updateUrl(source) {
+  if (isRestoringUrlState) return;
+
+  const query = buildUrlParams().toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}`;
+
+  if (`?${query}` === window.location.search ||
+      (!query && !window.location.search)) {
+    lastUrlChange = source;
+    return;
+  }
+
+  if ((source === "search" && lastUrlChange === "search") || source === "cardStep") {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+
+  lastUrlChange = source;
+}
+
+// Select an option only if it exists; unknown values fall back to "All"
+function setSelectValue(select, value) {
+  const exists = [...select.options].some(opt => opt.value === value);
+  select.value = exists ? value : "";
+}
+
+// Read the address bar back into the controls, sort and overlay
+function applyUrlState() {
+  const params = new URLSearchParams(window.location.search);
+
+  isRestoringUrlState = true;
+
+  searchInput.value = params.get(URL_PARAMS.search) ?? "";
+  Object.keys(multiFilters).forEach(name => {
+    setFilterValues(name, params.getAll(URL_PARAMS[name]));
+  });
+  setSelectValue(filterOwned, params.get(URL_PARAMS.owned));
+  characterFilter = params.get(URL_PARAMS.characterFilter) ?? "";
+
+  // Only accept keys that a table column sorts by (shown or not)
+  const sortKey = params.get(URL_PARAMS.sortKey);
+  const sortable = Boolean(getSortColumn(sortKey));
+
+  userSorted = sortable;
+
+  if (sortable) {
+    currentSort = {
+      key: sortKey,
+      direction: params.get(URL_PARAMS.sortDirection) === "desc" ? "desc" : "asc"
+    };
+    updateSortIndicators();
+  } else {
+    currentSort = { key: "volume", direction: "asc" };
+    updateSortIndicators(false);
+  }
+
+  render();
+
+  setComparedCards(params.getAll(URL_PARAMS.compared));
+
+  const cardId = params.get(URL_PARAMS.card);
+  const card = cardId ? cards.find(c => c.id === cardId) : null;
+
+  if (card) {
+    // May be -1 if the card is filtered out; the arrows then stay hidden
+    currentIndex = currentList.findIndex(c => c.id === card.id);
+    showCardDetails(card, Number(params.get(URL_PARAMS.variant)) || 0);
+  } else if (openCardId) {
+    closeOverlay();
+  }
+
+  const characterKey = params.get(URL_PARAMS.character);
+  const storyKey = params.get(URL_PARAMS.story);
+  if (characterKey && getCharacterIndex().has(characterKey)) {
+    openCharacterProfile(characterKey);
+  } else if (storyKey && getBookIndex().has(storyKey)) {
+    openBookProfile(storyKey);
+  } else if (params.has(URL_PARAMS.compareOpen) && comparedCardIds.length >= COMPARE_MIN) {
+    openComparison();
+  } else if (openProfileState) {
+    closeProfile();
+  }
+
+  isRestoringUrlState = false;
+  lastUrlChange = null;
+}
+
+// --- 7. Collection (owned cards) ---
+
+function loadOwnedCards() {
+  try {
+    const stored = JSON.parse(localStorage.getItem("ownedCards") ?? "[]");
+    if (Array.isArray(stored)) {
+      ownedCardIds = new Set(stored.filter(id => typeof id === "string"));
+    }
+  } catch (e) {
+    // ignore storage or parse errors; start with an empty collection
+  }
+}
+
+function saveOwnedCards() {
+  try {
+    localStorage.setItem("ownedCards", JSON.stringify([...ownedCardIds]));
+  } catch (e) {
+    // ignore storage failures
+  }
+}
+
+function setOwned(cardId, owned) {
+  if (owned) {
+    ownedCardIds.add(cardId);
+  } else {
+    ownedCardIds.delete(cardId);
+  }
+
+  saveOwnedCards();
+  updateVolumeCompletion();
+  updateOwnedButton(openCardId);
+  updateRewardCalculator();
+
+  // The Owned/Missing filter may now hide or show this card
+  if (filterOwned.value) {
+    render();
+  } else {
+    const element = getCardElement(cardId);
+    const checkbox = element && element.querySelector(".owned-toggle");
+    if (checkbox) checkbox.checked = owned;
+    if (element) element.classList.toggle("is-owned", owned);
+  }
+}
+
+function updateOwnedButton(cardId) {
+  const button = document.getElementById("mobile-detail-owned");
+  if (!button || !cardId) return;
+
+  const owned = ownedCardIds.has(cardId);
+  button.textContent = owned ? t("card.isOwned") : t("card.markOwned");
+  button.classList.toggle("is-owned", owned);
+  button.setAttribute("aria-pressed", owned ? "true" : "false");
+}
+
+// Show "Vol 23: 7/10" style progress in the volume filter once the
+// user has started tracking; plain numbers until then
+function updateVolumeCompletion() {
+  const totals = new Map();
+  const owned = new Map();
+
+  cards.forEach(card => {
+    const key = String(card.volume);
+    totals.set(key, (totals.get(key) ?? 0) + 1);
+    if (ownedCardIds.has(card.id)) {
+      owned.set(key, (owned.get(key) ?? 0) + 1);
+    }
+  });
+
+  filterVolume.querySelectorAll(".multi-select-option").forEach(option => {
+    const value = option.querySelector("input").value;
+    const label = option.querySelector(".multi-select-option-label");
+
+    label.textContent = ownedCardIds.size
+      ? t("filter.volumeProgress", { volume: value, owned: owned.get(value) ?? 0, total: totals.get(value) ?? 0 })
+      : value;
+  });
 }
 
-// --- 6. Kick off ---
+// --- 8. Collection backup (import/export) ---
+
+const COLLECTION_FORMAT = "rc-card-collection";
+
+// Share codes look like "RC1.<card count>.<id checksum>.<bitset>"; the
+// count and checksum let older codes keep working after new cards are
+// appended to cards.json, and reject codes made for a reordered list
+const SHARE_CODE_VERSION = "RC1";
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvEscape(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Small RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF rows
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop blank lines
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+// 32-bit FNV-1a over the ids, so a share code can tell whether it was
+// made for the same card order
+function hashCardIds(ids) {
+  let hash = 0x811c9dc5;
+  const text = ids.join("\n");
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(36);
+}
+
+function cardsInOriginalOrder(list = cards) {
+  return [...list].sort((a, b) => a._index - b._index);
+}
+
+// Share codes index the bundled cards even while a preview dataset is
+// shown (section 18), so a code means the same cards either way
+function shareCodeCards() {
+  return cardsInOriginalOrder(previewDataset ? bundledCards : cards);
+}
+
+function exportCollectionJson() {
+  const data = {
+    format: COLLECTION_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    cards: cardsInOriginalOrder()
+      .filter(card => ownedCardIds.has(card.id))
+      .map(card => ({ id: card.id, owned: true }))
+  };
+
+  downloadFile("rc-collection.json", JSON.stringify(data, null, 2), "application/json");
+}
+
+// One row per card so the file can be edited in a spreadsheet
+function exportCollectionCsv() {
+  const lines = [["id", "owned", "character", "cardName", "volume"].join(",")];
+
+  cardsInOriginalOrder().forEach(card => {
+    lines.push([
+      card.id,
+      ownedCardIds.has(card.id) ? "yes" : "no",
+      card.character,
+      card.cardName,
+      card.volume
+    ].map(csvEscape).join(","));
+  });
+
+  downloadFile("rc-collection.csv", lines.join("\r\n"), "text/csv");
+}
+
+function encodeShareCode() {
+  const ordered = shareCodeCards();
+  const bytes = new Uint8Array(Math.ceil(ordered.length / 8));
+
+  ordered.forEach((card, i) => {
+    if (ownedCardIds.has(card.id)) {
+      bytes[i >> 3] |= 1 << (i & 7);
+    }
+  });
+
+  const bitset = btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+  return [
+    SHARE_CODE_VERSION,
+    ordered.length.toString(36),
+    hashCardIds(ordered.map(card => card.id)),
+    bitset
+  ].join(".");
+}
+
+// Returns { entries }; throws with a readable message
+function decodeShareCode(code) {
+  const parts = code.trim().split(".");
+  if (parts.length !== 4 || parts[0] !== SHARE_CODE_VERSION) {
+    throw new Error(t("collection.notShareCode", { prefix: SHARE_CODE_VERSION }));
+  }
+
+  const count = parseInt(parts[1], 36);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(t("collection.badCount"));
+  }
+
+  const ordered = shareCodeCards();
+
+  // The hash only covers the cards the code was made with, so a code from
+  // a longer list can't be checked against this one
+  if (count > ordered.length) {
+    throw new Error(t("collection.newerList"));
+  }
+
+  // Codes made with fewer cards are fine as long as those cards still
+  // come first in the same order
+  if (hashCardIds(ordered.slice(0, count).map(card => card.id)) !== parts[2]) {
+    throw new Error(t("collection.otherList"));
+  }
+
+  let binary;
+  try {
+    const base64 = parts[3].replace(/-/g, "+").replace(/_/g, "/");
+    binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  } catch (e) {
+    throw new Error(t("collection.badCharacters"));
+  }
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const byte = binary.charCodeAt(i >> 3) || 0;
+    if (byte & (1 << (i & 7))) {
+      entries.push({ id: ordered[i].id, owned: true });
+    }
+  }
+
+  return { entries };
+}
+
+// Accepts our export format or a bare array of ids / { id, owned } objects
+function parseCollectionJson(text) {
+  const data = JSON.parse(text);
+
+  if (data && !Array.isArray(data) && data.format && data.format !== COLLECTION_FORMAT) {
+    throw new Error(t("collection.badFormat", { format: data.format }));
+  }
+
+  const list = Array.isArray(data) ? data : data && data.cards;
+  if (!Array.isArray(list)) {
+    throw new Error(t("collection.noList"));
+  }
+
+  return list.map(entry => {
+    if (typeof entry === "string") return { id: entry, owned: true };
+    return {
+      id: String(entry && entry.id != null ? entry.id : ""),
+      owned: !entry || entry.owned !== false
+    };
+  });
+}
+
+function parseCollectionCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw new Error(t("collection.emptyCsv"));
+  }
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const idCol = header.indexOf("id");
+  const ownedCol = header.indexOf("owned");
+
+  if (idCol === -1) {
+    throw new Error(t("collection.noIdColumn"));
+  }
+
+  return rows.slice(1).map(row => ({
+    id: (row[idCol] ?? "").trim(),
+    // without an owned column every listed id counts as owned
+    owned: ownedCol === -1 ||
+      /^(yes|y|true|1|x|✓)$/i.test((row[ownedCol] ?? "").trim())
+  }));
+}
+
+// mode is "merge" (add to the collection) or "replace" (overwrite it)
+function applyCollectionImport(entries, mode) {
+  // bundled cards a preview leaves out are still part of the collection
+  const knownIds = new Set([...cards, ...(previewDataset ? bundledCards : [])].map(card => card.id));
+  const next = mode === "replace" ? new Set() : new Set(ownedCardIds);
+  const unknownIds = [];
+  let imported = 0;
+  // owned cards the file marks as not owned; a merge leaves them in place
+  let keptOwned = 0;
+
+  entries.forEach(({ id, owned }) => {
+    if (!id) return;
+
+    if (!knownIds.has(id)) {
+      unknownIds.push(id);
+      return;
+    }
+
+    if (owned) {
+      next.add(id);
+      imported++;
+    } else if (mode === "merge" && ownedCardIds.has(id)) {
+      keptOwned++;
+    }
+  });
+
+  ownedCardIds = next;
+  saveOwnedCards();
+  updateVolumeCompletion();
+  render();
+
+  return { imported, unknownIds, keptOwned };
+}
+
+function showCollectionStatus(message, isError = false) {
+  const status = document.getElementById("collection-status");
+  if (!status) return;
+
+  status.textContent = message;
+  status.classList.toggle("is-error", isError);
+}
+
+function reportImport({ imported, unknownIds = [], keptOwned = 0 }) {
+  let message = t("collection.imported", { count: imported });
+
+  if (unknownIds.length) {
+    const shown = unknownIds.slice(0, 10).join(", ");
+    const more = unknownIds.length > 10
+      ? `, ${t("collection.more", { count: unknownIds.length - 10 })}`
+      : "";
+    message += ` ${t("collection.unknownIds", { count: unknownIds.length, ids: shown + more })}`;
+  }
+
+  if (keptOwned) {
+    message += ` ${t("collection.keptOwned", { count: keptOwned })}`;
+  }
+
+  showCollectionStatus(message, unknownIds.length > 0 || keptOwned > 0);
+}
+
+function getImportMode() {
+  const select = document.getElementById("collection-import-mode");
+  const mode = select && select.value === "replace" ? "replace" : "merge";
+
+  if (mode === "replace" && ownedCardIds.size &&
+      !window.confirm(t("collection.confirmReplace"))) {
+    return null;
+  }
+
+  return mode;
+}
+
+function attachCollectionTools() {
+  const exportJsonBtn = document.getElementById("export-collection-json");
+  const exportCsvBtn = document.getElementById("export-collection-csv");
+  const copyCodeBtn = document.getElementById("copy-share-code");
+  const codeOutput = document.getElementById("share-code-output");
+  const fileInput = document.getElementById("import-collection-file");
+  const codeInput = document.getElementById("import-share-code");
+  const importCodeBtn = document.getElementById("import-share-code-button");
+
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener("click", exportCollectionJson);
+  }
+
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener("click", exportCollectionCsv);
+  }
+
+  if (copyCodeBtn) {
+    copyCodeBtn.addEventListener("click", async () => {
+      const code = encodeShareCode();
+
+      // Always show the code too, in case clipboard access is blocked
+      if (codeOutput) {
+        codeOutput.value = code;
+        codeOutput.classList.remove("hidden");
+        codeOutput.select();
+      }
+
+      try {
+        await navigator.clipboard.writeText(code);
+        showCollectionStatus(t("collection.copied"));
+      } catch (e) {
+        showCollectionStatus(t("collection.copyManually"));
+      }
+    });
+  }
+
+  if (fileInput) {
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+
+      const mode = getImportMode();
+
+      try {
+        if (!mode) return;
+
+        const text = await file.text();
+        const looksLikeJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+        const entries = looksLikeJson
+          ? parseCollectionJson(text)
+          : parseCollectionCsv(text);
+
+        reportImport(applyCollectionImport(entries, mode));
+      } catch (e) {
+        showCollectionStatus(t("collection.importFailed", { file: file.name, error: e.message }), true);
+      } finally {
+        // allow picking the same file again
+        fileInput.value = "";
+      }
+    });
+  }
+
+  if (importCodeBtn && codeInput) {
+    importCodeBtn.addEventListener("click", () => {
+      if (!codeInput.value.trim()) return;
+
+      try {
+        const { entries } = decodeShareCode(codeInput.value);
+        const mode = getImportMode();
+        if (!mode) return;
+
+        reportImport(applyCollectionImport(entries, mode));
+        codeInput.value = "";
+      } catch (e) {
+        showCollectionStatus(e.message, true);
+      }
+    });
+  }
+}
+
+// --- 9. Reward calculator ---
+
+function emptyRewardTotals() {
+  return {
+    cards: 0,
+    cupsTotal: 0,
+    cupsEarned: 0,
+    diamondsTotal: 0,
+    diamondsEarned: 0
+  };
+}
+
+function addToRewardTotals(totals, card, earned) {
+  const amount = Number(card.rewardAmount) || 0;
+  totals.cards += 1;
+
+  if (card.reward === "Cups") {
+    totals.cupsTotal += amount;
+    if (earned) totals.cupsEarned += amount;
+  } else if (card.reward === "Diamonds") {
+    totals.diamondsTotal += amount;
+    if (earned) totals.diamondsEarned += amount;
+  }
+}
+
+// Totals for the whole list, per volume and per book; a card linked to
+// several books counts towards each of them
+function computeRewardTotals(list, earnedIds) {
+  const overall = emptyRewardTotals();
+  const byVolume = new Map();
+  const byBook = new Map();
+
+  list.forEach(card => {
+    const earned = earnedIds.has(card.id);
+    addToRewardTotals(overall, card, earned);
+
+    if (card.volume != null) {
+      if (!byVolume.has(card.volume)) byVolume.set(card.volume, emptyRewardTotals());
+      addToRewardTotals(byVolume.get(card.volume), card, earned);
+    }
+
+    getCardBooks(card).forEach(book => {
+      if (!byBook.has(book)) byBook.set(book, emptyRewardTotals());
+      addToRewardTotals(byBook.get(book), card, earned);
+    });
+  });
+
+  return { overall, byVolume, byBook };
+}
+
+function fillRewardTable(table, caption, firstColumn, rows) {
+  table.innerHTML = `
+    <caption>${caption}</caption>
+    <thead>
+      <tr>
+        <th scope="col">${firstColumn}</th>
+        <th scope="col">${t("calc.cards")}</th>
+        <th scope="col">${t("calc.cupsEarned")}</th>
+        <th scope="col">${t("calc.cupsLeft")}</th>
+        <th scope="col">${t("calc.diamondsEarned")}</th>
+        <th scope="col">${t("calc.diamondsLeft")}</th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+
+  const tbody = table.querySelector("tbody");
+
+  rows.forEach(([label, totals]) => {
+    const tr = document.createElement("tr");
+
+    [
+      label,
+      totals.cards,
+      `${totals.cupsEarned} / ${totals.cupsTotal}`,
+      totals.cupsTotal - totals.cupsEarned,
+      `${totals.diamondsEarned} / ${totals.diamondsTotal}`,
+      totals.diamondsTotal - totals.diamondsEarned
+    ].forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      if (index === 0) cell.scope = "row";
+      cell.textContent = String(value);
+      tr.appendChild(cell);
+    });
+
+    tbody.appendChild(tr);
+  });
+}
+
+// Recompute from the filtered list; skipped while the panel is closed
+function updateRewardCalculator() {
+  const panel = document.getElementById("reward-calculator");
+  if (!panel || !panel.open) return;
+
+  const basis = document.getElementById("calc-basis");
+  const usePicked = basis && basis.value === "picked";
+  const earnedIds = usePicked ? pickedCardIds : ownedCardIds;
+
+  const { overall, byVolume, byBook } = computeRewardTotals(currentList, earnedIds);
+
+  const summary = document.getElementById("calc-summary");
+  if (summary) {
+    const earnedLabel = usePicked
+      ? t("calc.basisPicked", { count: pickedCardIds.size })
+      : t("calc.basisOwned");
+
+    summary.textContent = [
+      t("calc.summary", { count: overall.cards, basis: earnedLabel }),
+      t("calc.cupsSummary", {
+        earned: overall.cupsEarned,
+        left: overall.cupsTotal - overall.cupsEarned,
+        total: overall.cupsTotal
+      }),
+      t("calc.diamondsSummary", {
+        earned: overall.diamondsEarned,
+        left: overall.diamondsTotal - overall.diamondsEarned,
+        total: overall.diamondsTotal
+      })
+    ].join(" ");
+  }
+
+  const volumeTable = document.getElementById("calc-by-volume");
+  if (volumeTable) {
+    const rows = [...byVolume.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([volume, totals]) => [t("volume.short", { volume }), totals]);
+    fillRewardTable(volumeTable, t("calc.byVolume"), t("filter.volume"), rows);
+  }
+
+  const bookTable = document.getElementById("calc-by-book");
+  if (bookTable) {
+    const collator = getCollator();
+    const rows = [...byBook.entries()]
+      .map(([book, totals]) => [translateBookTitle(book), totals])
+      .sort((a, b) => collator.compare(a[0], b[0]));
+    fillRewardTable(bookTable, t("calc.byBook"), t("filter.book"), rows);
+  }
+}
+
+function togglePicked(cardId) {
+  if (pickedCardIds.has(cardId)) {
+    pickedCardIds.delete(cardId);
+  } else {
+    pickedCardIds.add(cardId);
+  }
+
+  const element = getCardElement(cardId);
+  if (element) element.classList.toggle("is-picked", pickedCardIds.has(cardId));
+
+  updateRewardCalculator();
+}
+
+function setPickMode(enabled) {
+  pickMode = enabled;
+  document.body.classList.toggle("pick-mode", enabled);
+
+  const button = document.getElementById("calc-pick-mode");
+  if (button) {
+    button.textContent = enabled ? t("calc.donePicking") : t("calc.pick");
+    button.setAttribute("aria-pressed", enabled ? "true" : "false");
+  }
+}
+
+function attachRewardCalculator() {
+  const panel = document.getElementById("reward-calculator");
+  if (!panel) return;
+
+  const basis = document.getElementById("calc-basis");
+  const pickBtn = document.getElementById("calc-pick-mode");
+  const clearPicksBtn = document.getElementById("calc-clear-picks");
+
+  panel.addEventListener("toggle", () => {
+    // Leaving pick mode on with the panel closed would be confusing
+    if (!panel.open) setPickMode(false);
+    updateRewardCalculator();
+  });
+
+  if (basis) {
+    basis.addEventListener("change", updateRewardCalculator);
+  }
+
+  if (pickBtn) {
+    pickBtn.addEventListener("click", () => {
+      setPickMode(!pickMode);
+
+      // Picking only makes sense when picks are what gets counted
+      if (pickMode && basis) basis.value = "picked";
+      updateRewardCalculator();
+    });
+  }
+
+  if (clearPicksBtn) {
+    clearPicksBtn.addEventListener("click", () => {
+      pickedCardIds.clear();
+      document
+        .querySelectorAll("#cards-table tbody tr.is-picked, #cards-gallery .is-picked")
+        .forEach(element => element.classList.remove("is-picked"));
+      updateRewardCalculator();
+    });
+  }
+}
+
+// --- 10. Search query language ---
+//
+// The search box accepts plain words (fuzzy-matched against character,
+// card name, book and message, see section 11) mixed with field terms:
+//
+//   rarity:epic  rarity:>=rare  vol:10..15  vol:>=20  reward:diamonds>=40
+//   book:"Heaven's Secret"  gender:female  msg:love  owned:no
+//
+// Terms are ANDed; "OR" (or "|") separates alternatives, parentheses
+// group, and a leading "-" negates a term or group. "Quoted phrases"
+// without a field must match exactly (accents and case still ignored).
+
+// Field names (and aliases) accepted before ":"
+const QUERY_FIELDS = {
+  name: "cardName",
+  card: "cardName",
+  cardname: "cardName",
+  character: "character",
+  char: "character",
+  vol: "volume",
+  volume: "volume",
+  rarity: "rarity",
+  reward: "reward",
+  amount: "rewardAmount",
+  book: "book",
+  gender: "gender",
+  msg: "message",
+  message: "message",
+  id: "id",
+  owned: "owned"
+};
+
+const QUERY_REWARD_TYPES = {
+  cup: "Cups",
+  cups: "Cups",
+  diamond: "Diamonds",
+  diamonds: "Diamonds"
+};
+
+// Last compiled query, reused until the search text changes
+let parsedSearch = { text: null, test: null, terms: [], error: null };
+
+function getParsedSearch() {
+  const text = searchInput.value;
+  if (parsedSearch.text !== text) {
+    parsedSearch = { text, ...compileSearchQuery(text) };
+  }
+  return parsedSearch;
+}
+
+// Returns { test, terms, error }: test is a card predicate (null for an
+// empty query or on error), terms the plain words used for ranking and
+// highlighting, error a message to show next to the input
+function compileSearchQuery(text) {
+  if (!text.trim()) return { test: null, terms: [], error: null };
+
+  try {
+    return { ...parseQueryTokens(tokenizeQuery(text)), error: null };
+  } catch (e) {
+    return { test: null, terms: [], error: e.message };
+  }
+}
+
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === "|") {
+      tokens.push({ type: "OR" });
+      i++;
+      continue;
+    }
+
+    // "-" directly in front of a term or group negates it
+    if (ch === "-" && i + 1 < text.length && !/[\s)|]/.test(text[i + 1])) {
+      tokens.push({ type: "NOT" });
+      i++;
+      continue;
+    }
+
+    let field = null;
+    const fieldMatch = /^([a-z]+):/i.exec(text.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let value = "";
+    let quoted = false;
+
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error(t("query.missingQuote", { text: `${field ? `${field}:` : ""}"${text.slice(i + 1)}` }));
+      }
+      value = text.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      while (i < text.length && !/[\s()|]/.test(text[i])) {
+        value += text[i];
+        i++;
+      }
+    }
+
+    if (field && !value) {
+      throw new Error(t("query.needsValue", { field }));
+    }
+
+    if (!field && !quoted && value === "OR") {
+      tokens.push({ type: "OR" });
+    } else {
+      tokens.push({ type: "TERM", field, value, quoted });
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive descent: or := and ("OR" and)*, and := unary+,
+// unary := "-" unary | "(" or ")" | term
+function parseQueryTokens(tokens) {
+  let pos = 0;
+
+  // Plain words outside any negation feed ranking and highlighting
+  const terms = [];
+  let negations = 0;
+
+  function parseOr() {
+    const branches = [parseAnd()];
+
+    while (tokens[pos] && tokens[pos].type === "OR") {
+      pos++;
+      branches.push(parseAnd());
+    }
+
+    return branches.length === 1
+      ? branches[0]
+      : card => branches.some(test => test(card));
+  }
+
+  function parseAnd() {
+    const parts = [];
+
+    while (pos < tokens.length &&
+           tokens[pos].type !== "OR" &&
+           tokens[pos].type !== ")") {
+      parts.push(parseUnary());
+    }
+
+    if (parts.length === 0) {
+      throw new Error(tokens[pos] && tokens[pos].type === ")"
+        ? t("query.unexpectedClose")
+        : t("query.orNeedsTerms"));
+    }
+
+    return parts.length === 1
+      ? parts[0]
+      : card => parts.every(test => test(card));
+  }
+
+  function parseUnary() {
+    const token = tokens[pos];
+
+    if (token.type === "NOT") {
+      pos++;
+      if (!tokens[pos] || tokens[pos].type === "OR" || tokens[pos].type === ")") {
+        throw new Error(t("query.negationNeedsTerm"));
+      }
+      negations++;
+      const inner = parseUnary();
+      negations--;
+      return card => !inner(card);
+    }
+
+    if (token.type === "(") {
+      pos++;
+      if (tokens[pos] && tokens[pos].type === ")") {
+        throw new Error(t("query.emptyParentheses"));
+      }
+      const inner = parseOr();
+      if (!tokens[pos] || tokens[pos].type !== ")") {
+        throw new Error(t("query.missingClose"));
+      }
+      pos++;
+      return inner;
+    }
+
+    pos++;
+
+    if (!token.field && negations === 0) {
+      const term = prepareSearchTerm(token.value, token.quoted);
+      if (term) terms.push(term);
+    }
+
+    return compileQueryTerm(token);
+  }
+
+  const test = parseOr();
+
+  if (pos < tokens.length) {
+    throw new Error(t("query.unexpectedClose"));
+  }
+
+  return { test, terms };
+}
+
+// needle must already be normalised with normaliseForSearch
+function textIncludes(value, needle) {
+  return prepareSearchText(value).text.includes(needle);
+}
+
+function numberComparator(op, target) {
+  return value => {
+    if (value == null || Number.isNaN(Number(value))) return false;
+    const n = Number(value);
+
+    if (op === ">=") return n >= target;
+    if (op === "<=") return n <= target;
+    if (op === ">") return n > target;
+    if (op === "<") return n < target;
+    return n === target;
+  };
+}
+
+// "10", "10..15", "..15", "10..", ">=10", ">10", "<=10", "<10"
+function parseNumberTest(text, field) {
+  const range = /^(\d+)?\.\.(\d+)?$/.exec(text);
+  if (range && (range[1] || range[2])) {
+    const low = range[1] ? Number(range[1]) : -Infinity;
+    const high = range[2] ? Number(range[2]) : Infinity;
+    return value => value != null && Number(value) >= low && Number(value) <= high;
+  }
+
+  const comparison = /^(>=|<=|>|<|=)?(\d+)$/.exec(text);
+  if (comparison) {
+    return numberComparator(comparison[1] || "=", Number(comparison[2]));
+  }
+
+  throw new Error(t("query.notNumber", { field, text }));
+}
+
+function compileRarityTerm(value) {
+  const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+  const name = RARITIES.find(r => r.toLowerCase() === match[2].toLowerCase());
+
+  if (!name) {
+    throw new Error(t("query.unknownRarity", { value: match[2], list: RARITIES.join(", ") }));
+  }
+
+  const compare = numberComparator(match[1] || "=", RARITIES.indexOf(name));
+  return card => {
+    const rank = RARITIES.indexOf(card.rarity);
+    return rank !== -1 && compare(rank);
+  };
+}
+
+// "cups", "diamonds", "diamonds>=40", ">=40", "40"
+function compileRewardTerm(value) {
+  const match = /^([a-z]*)((?:>=|<=|>|<|=)?\d+)?$/i.exec(value);
+
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(t("query.badReward", { value }));
+  }
+
+  let type = null;
+  if (match[1]) {
+    type = QUERY_REWARD_TYPES[match[1].toLowerCase()];
+    if (!type) {
+      throw new Error(t("query.unknownReward", { value: match[1] }));
+    }
+  }
+
+  const amountTest = match[2] ? parseNumberTest(match[2], "reward") : null;
+
+  return card =>
+    (!type || card.reward === type) &&
+    (!amountTest || amountTest(card.rewardAmount));
+}
+
+function compileQueryTerm({ field, value, quoted }) {
+  const needle = normaliseForSearch(value).text.trim();
+
+  if (!field) {
+    const term = prepareSearchTerm(value, quoted);
+
+    // nothing searchable left, e.g. a lone punctuation mark
+    if (!term) return () => true;
+
+    return card => cardMatchesSearchTerm(card, term);
+  }
+
+  const key = QUERY_FIELDS[field];
+  if (!key) {
+    throw new Error(t("query.unknownField", { field }));
+  }
+
+  switch (key) {
+    case "volume": {
+      const test = parseNumberTest(value, field);
+      return card => test(card.volume);
+    }
+
+    case "rewardAmount": {
+      const test = parseNumberTest(value, field);
+      return card => test(card.rewardAmount);
+    }
+
+    case "rarity":
+      return compileRarityTerm(value);
+
+    case "reward":
+      return compileRewardTerm(value);
+
+    case "book":
+      return card => getCardBooks(card)
+        .some(book => textIncludes(book, needle) || textIncludes(translateBookTitle(book), needle));
+
+    // prefix match, so "male" doesn't also match "female"
+    case "gender":
+      return card => [].concat(card.gender ?? [])
+        .some(g => String(g).toLowerCase().startsWith(needle));
+
+    case "owned": {
+      const wantOwned = /^(yes|y|true|1)$/.test(needle);
+      if (!wantOwned && !/^(no|n|false|0)$/.test(needle)) {
+        throw new Error(t("query.badOwned", { value }));
+      }
+      return card => ownedCardIds.has(card.id) === wantOwned;
+    }
+
+    // name: and msg: also look at the card's translation
+    default:
+      return card => textIncludes(card[key], needle) ||
+        textIncludes(getCardText(card, key), needle);
+  }
+}
+
+function showSearchError(message) {
+  const errorEl = document.getElementById("search-error");
+  if (!errorEl) return;
+
+  errorEl.textContent = message ?? "";
+  errorEl.classList.toggle("hidden", !message);
+  searchInput.setAttribute("aria-invalid", message ? "true" : "false");
+}
+
+// --- 11. Fuzzy text search ---
+//
+// Plain search words are compared case- and accent-insensitively against
+// character, card name, every book title and the message. Each word must
+// match somewhere, exactly or with a few typos, and better matches in
+// more important fields rank a card higher.
+
+// How much a match in each field counts towards a card's relevance
+const SEARCH_FIELD_WEIGHTS = [
+  ["character", 1],
+  ["cardName", 0.9],
+  ["book", 0.6],
+  ["message", 0.4]
+];
+
+// Normalised strings are reused across renders
+const searchTextCache = new Map();
+
+// Per-card list of prepared fields, with the language it was built for
+const searchFieldCache = new WeakMap();
+
+// Lower-case, strip accents and turn punctuation into single spaces,
+// keeping a map from each output character to its index in the source
+function normaliseForSearch(value) {
+  const source = String(value ?? "");
+  let text = "";
+  const map = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const folded = source[i]
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLocaleLowerCase(language);
+
+    for (const ch of folded) {
+      const out = /[\p{L}\p{N}]/u.test(ch) ? ch : " ";
+      if (out === " " && (text === "" || text.endsWith(" "))) continue;
+      text += out;
+      map.push(i);
+    }
+  }
+
+  return { text, map };
+}
+
+// Normalised text plus its words and a space-free "compact" form, so
+// "shinoodori" can still find "Shino-Odori"
+function prepareSearchText(value) {
+  const key = String(value ?? "");
+  let prepared = searchTextCache.get(key);
+  if (prepared) return prepared;
+
+  const { text, map } = normaliseForSearch(key);
+  const words = [];
+  let compact = "";
+  const compactMap = [];
+
+  const wordPattern = /\S+/g;
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    words.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === " ") continue;
+    compact += text[i];
+    compactMap.push(i);
+  }
+
+  prepared = { text, map, words, compact, compactMap };
+  searchTextCache.set(key, prepared);
+  return prepared;
+}
+
+// Returns null when nothing searchable is left after normalising
+function prepareSearchTerm(value, quoted = false) {
+  const text = normaliseForSearch(value).text.trim();
+  if (!text) return null;
+
+  return { text, compact: text.replace(/ /g, ""), exact: quoted };
+}
+
+// Longer words tolerate more typos
+function allowedTypos(length) {
+  if (length <= 4) return 0;
+  if (length <= 7) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps)
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+// Best match of a term in prepared text, as { quality, start, end } in
+// normalised coordinates (quality 0..1), or null
+function matchSearchTerm(prepared, term) {
+  const { text, words, compact, compactMap } = prepared;
+
+  const index = text.indexOf(term.text);
+  if (index !== -1) {
+    const atWordStart = index === 0 || text[index - 1] === " ";
+    return {
+      quality: atWordStart ? 1 : 0.8,
+      start: index,
+      end: index + term.text.length
+    };
+  }
+
+  // Ignore spaces and punctuation on both sides
+  const compactIndex = compact.indexOf(term.compact);
+  if (compactIndex !== -1) {
+    return {
+      quality: 0.75,
+      start: compactMap[compactIndex],
+      end: compactMap[compactIndex + term.compact.length - 1] + 1
+    };
+  }
+
+  if (term.exact) return null;
+
+  const allowed = allowedTypos(term.compact.length);
+  if (!allowed) return null;
+
+  // Compare against each word and each pair of neighbouring words,
+  // whole or cut to the term's length (for half-typed names)
+  let best = null;
+
+  for (let w = 0; w < words.length; w++) {
+    for (let span = 1; span <= 2 && w + span <= words.length; span++) {
+      const first = words[w];
+      const last = words[w + span - 1];
+      const candidate = span === 1 ? first.text : first.text + last.text;
+
+      const distance = Math.min(
+        editDistance(term.compact, candidate),
+        editDistance(term.compact, candidate.slice(0, term.compact.length))
+      );
+
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { distance, start: first.start, end: last.end };
+      }
+    }
+  }
+
+  return best && {
+    quality: 0.6 - 0.1 * best.distance,
+    start: best.start,
+    end: best.end
+  };
+}
+
+// English text and its translation are both searchable
+function getSearchFields(card) {
+  const cached = searchFieldCache.get(card);
+  if (cached && cached.language === language) return cached.fields;
+
+  const fields = [];
+  SEARCH_FIELD_WEIGHTS.forEach(([key, weight]) => {
+    const values = key === "book"
+      ? getCardBooks(card).flatMap(book => [book, translateBookTitle(book)])
+      : [card[key], getCardText(card, key)];
+
+    new Set(values).forEach(value => {
+      if (value) fields.push({ weight, prepared: prepareSearchText(value) });
+    });
+  });
+
+  searchFieldCache.set(card, { language, fields });
+  return fields;
+}
+
+// Weighted quality of the term's best match on this card (0 = no match)
+function scoreSearchTerm(card, term) {
+  let best = 0;
+
+  getSearchFields(card).forEach(({ weight, prepared }) => {
+    const match = matchSearchTerm(prepared, term);
+    if (match) best = Math.max(best, weight * match.quality);
+  });
+
+  return best;
+}
+
+function cardMatchesSearchTerm(card, term) {
+  return scoreSearchTerm(card, term) > 0;
+}
+
+// Stable: equally relevant cards keep the order they came in
+function rankBySearchRelevance(list, terms) {
+  return list
+    .map((card, position) => ({
+      card,
+      position,
+      score: terms.reduce((sum, term) => sum + scoreSearchTerm(card, term), 0)
+    }))
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(entry => entry.card);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Escaped text with every matched fragment wrapped in <mark>
+function highlightSearchMatches(value, terms) {
+  const source = String(value ?? "");
+  if (!terms.length || !source) return escapeHtml(source);
+
+  const prepared = prepareSearchText(source);
+  const ranges = [];
+
+  terms.forEach(term => {
+    const match = matchSearchTerm(prepared, term);
+    if (match) {
+      ranges.push([
+        prepared.map[match.start],
+        prepared.map[match.end - 1] + 1
+      ]);
+    }
+  });
+
+  if (!ranges.length) return escapeHtml(source);
+
+  // merge overlapping ranges so marks never nest
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  });
+
+  let html = "";
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    html += escapeHtml(source.slice(cursor, start));
+    html += `<mark class="search-hit">${escapeHtml(source.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  html += escapeHtml(source.slice(cursor));
+
+  return html;
+}
+
+// --- 12. Statistics dashboard ---
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Filter applied when a chart segment is clicked, keyed by the element
+const chartSegmentFilters = new WeakMap();
+
+// The cards array the charts were last drawn for
+let statisticsDrawnFor = null;
+
+// kind names the UI_STRINGS group holding each value's label
+const STAT_RARITY_SERIES = RARITIES
+  .map(value => ({ value, kind: "rarity", className: `chart-rarity-${value.toLowerCase()}` }));
+
+const STAT_REWARD_SERIES = REWARD_TYPES
+  .map(value => ({ value, kind: "reward", className: `chart-reward-${value.toLowerCase()}` }));
+
+const STAT_GENDER_SERIES = GENDERS
+  .map(value => ({ value, kind: "gender", className: `chart-gender-${value.toLowerCase()}` }));
+
+function svgElement(tag, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    el.setAttribute(name, String(value));
+  });
+  return el;
+}
+
+// Make an SVG shape act as a button that filters the table
+function makeChartSegment(el, label, filter) {
+  el.classList.add("chart-segment");
+  el.setAttribute("tabindex", "0");
+  el.setAttribute("role", "button");
+  el.setAttribute("aria-label", label);
+
+  const title = svgElement("title");
+  title.textContent = label;
+  el.appendChild(title);
+
+  chartSegmentFilters.set(el, filter);
+}
+
+function createChartFigure(title) {
+  const figure = document.createElement("figure");
+  figure.className = "chart-figure";
+
+  const caption = document.createElement("figcaption");
+  caption.textContent = title;
+  figure.appendChild(caption);
+
+  return figure;
+}
+
+function createChartLegend(series, counts) {
+  const legend = document.createElement("ul");
+  legend.className = "chart-legend";
+
+  series.forEach(({ value, kind, className }) => {
+    const item = document.createElement("li");
+
+    const swatch = document.createElement("span");
+    swatch.className = `chart-swatch ${className}`;
+
+    const text = document.createElement("span");
+    const label = valueLabel(kind, value);
+    text.textContent = counts ? `${label} (${counts.get(value) ?? 0})` : label;
+
+    item.append(swatch, text);
+    legend.appendChild(item);
+  });
+
+  return legend;
+}
+
+// Stacked columns, one per group; groups: [{ label, counts: Map, filter }]
+// where filter is merged with { [seriesFilter]: value } for each segment
+function buildStackedColumnChart(title, groups, series, seriesFilter) {
+  const figure = createChartFigure(title);
+
+  const columnWidth = 16;
+  const gap = 6;
+  const left = 28;
+  const top = 8;
+  const plotHeight = 150;
+  const width = left + groups.length * (columnWidth + gap) + gap;
+  const height = top + plotHeight + 22;
+
+  const maxTotal = Math.max(1, ...groups.map(group =>
+    [...group.counts.values()].reduce((sum, n) => sum + n, 0)));
+
+  const svg = svgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart",
+    role: "group",
+    "aria-label": title
+  });
+
+  // horizontal guide lines at 0, ½ and max
+  [0, 0.5, 1].forEach(fraction => {
+    const y = top + plotHeight - fraction * plotHeight;
+    svg.appendChild(svgElement("line", {
+      x1: left - 4, x2: width, y1: y, y2: y, class: "chart-grid"
+    }));
+
+    const label = svgElement("text", {
+      x: left - 6, y: y + 3, class: "chart-axis-label", "text-anchor": "end"
+    });
+    label.textContent = String(Math.round(maxTotal * fraction));
+    svg.appendChild(label);
+  });
+
+  groups.forEach((group, i) => {
+    const x = left + gap + i * (columnWidth + gap);
+    let y = top + plotHeight;
+
+    series.forEach(({ value, kind, className }) => {
+      const count = group.counts.get(value) ?? 0;
+      if (!count) return;
+
+      const h = (count / maxTotal) * plotHeight;
+      y -= h;
+
+      const rect = svgElement("rect", {
+        x, y, width: columnWidth, height: h, class: className
+      });
+      makeChartSegment(
+        rect,
+        `${group.label}, ${valueLabel(kind, value)}: ${t("cards.count", { count })}`,
+        { ...group.filter, [seriesFilter]: value }
+      );
+      svg.appendChild(rect);
+    });
+
+    const label = svgElement("text", {
+      x: x + columnWidth / 2,
+      y: top + plotHeight + 14,
+      class: "chart-axis-label",
+      "text-anchor": "middle"
+    });
+    label.textContent = group.shortLabel ?? group.label;
+    svg.appendChild(label);
+  });
+
+  figure.appendChild(svg);
+  figure.appendChild(createChartLegend(series));
+  return figure;
+}
+
+// Horizontal bars; items: [{ label, value, filter }]
+function buildBarListChart(title, items) {
+  const figure = createChartFigure(title);
+
+  const rowHeight = 18;
+  const labelWidth = 190;
+  const barWidth = 260;
+  const width = labelWidth + barWidth + 40;
+  const height = items.length * rowHeight + 4;
+  const max = Math.max(1, ...items.map(item => item.value));
+
+  const svg = svgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart chart-bars",
+    role: "group",
+    "aria-label": title
+  });
+
+  items.forEach((item, i) => {
+    const y = i * rowHeight + 2;
+
+    const label = svgElement("text", {
+      x: labelWidth - 6, y: y + 12, class: "chart-bar-label", "text-anchor": "end"
+    });
+    // keep long book titles inside the label column
+    label.textContent = item.label.length > 32 ? `${item.label.slice(0, 31)}…` : item.label;
+    svg.appendChild(label);
+
+    const rect = svgElement("rect", {
+      x: labelWidth,
+      y: y + 2,
+      width: Math.max(2, (item.value / max) * barWidth),
+      height: rowHeight - 5,
+      class: "chart-bar"
+    });
+    makeChartSegment(
+      rect,
+      `${item.label}: ${t("cards.count", { count: item.value })}`,
+      item.filter
+    );
+    svg.appendChild(rect);
+
+    const value = svgElement("text", {
+      x: labelWidth + (item.value / max) * barWidth + 5,
+      y: y + 12,
+      class: "chart-bar-value"
+    });
+    value.textContent = String(item.value);
+    svg.appendChild(value);
+  });
+
+  figure.appendChild(svg);
+  return figure;
+}
+
+// One 100% bar split by series; counts: Map(value → count)
+function buildShareChart(title, counts, series, filterName) {
+  const figure = createChartFigure(title);
+
+  const width = 400;
+  const height = 26;
+  const total = [...counts.values()].reduce((sum, n) => sum + n, 0) || 1;
+
+  const svg = svgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart chart-share",
+    role: "group",
+    "aria-label": title
+  });
+
+  let x = 0;
+  series.forEach(({ value, kind, className }) => {
+    const count = counts.get(value) ?? 0;
+    if (!count) return;
+
+    const w = (count / total) * width;
+    const rect = svgElement("rect", { x, y: 0, width: w, height, class: className });
+    makeChartSegment(
+      rect,
+      `${valueLabel(kind, value)}: ${t("cards.count", { count })} (${Math.round((count / total) * 100)}%)`,
+      { [filterName]: value }
+    );
+    svg.appendChild(rect);
+    x += w;
+  });
+
+  figure.appendChild(svg);
+  figure.appendChild(createChartLegend(
+    series.filter(({ value }) => counts.has(value)),
+    counts
+  ));
+  return figure;
+}
+
+function countBy(list, getValues) {
+  const counts = new Map();
+  list.forEach(item => {
+    [].concat(getValues(item) ?? []).forEach(value => {
+      if (value == null || value === "") return;
+      counts.set(value, (counts.get(value) ?? 0) + 1);
+    });
+  });
+  return counts;
+}
+
+function drawStatistics() {
+  const container = document.getElementById("statistics-charts");
+  if (!container) return;
+
+  container.innerHTML = "";
+
+  const volumes = [...new Set(cards.map(card => card.volume).filter(v => v != null))]
+    .sort((a, b) => a - b);
+
+  const volumeGroups = getValues => volumes.map(volume => ({
+    label: t("volume.short", { volume }),
+    shortLabel: String(volume),
+    counts: countBy(cards.filter(card => card.volume === volume), getValues),
+    filter: { volume: String(volume) }
+  }));
+
+  container.appendChild(buildStackedColumnChart(
+    t("stats.rarityPerVolume"),
+    volumeGroups(card => card.rarity),
+    STAT_RARITY_SERIES,
+    "rarity"
+  ));
+
+  container.appendChild(buildStackedColumnChart(
+    t("stats.rewardPerVolume"),
+    volumeGroups(card => card.reward),
+    STAT_REWARD_SERIES,
+    "reward"
+  ));
+
+  container.appendChild(buildShareChart(
+    t("stats.cupsVsDiamonds"),
+    countBy(cards, card => card.reward),
+    STAT_REWARD_SERIES,
+    "reward"
+  ));
+
+  container.appendChild(buildShareChart(
+    t("stats.genderSplit"),
+    countBy(cards, card => card.gender),
+    STAT_GENDER_SERIES,
+    "gender"
+  ));
+
+  const topCharacters = [...countBy(cards, card => splitCharacterNames(card.character))]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 15)
+    .map(([name, count]) => ({
+      label: name,
+      value: count,
+      filter: { character: name }
+    }));
+
+  container.appendChild(buildBarListChart(t("stats.topCharacters"), topCharacters));
+
+  // a card listed under several books counts once for each title
+  const collator = getCollator();
+  const perBook = [...countBy(cards, getCardBooks)]
+    .map(([book, count]) => [book, translateBookTitle(book), count])
+    .sort((a, b) => b[2] - a[2] || collator.compare(a[1], b[1]))
+    .map(([book, label, count]) => ({ label, value: count, filter: { book } }));
+
+  container.appendChild(buildBarListChart(t("stats.perBook"), perBook));
+
+  statisticsDrawnFor = cards;
+}
+
+// filter: { search?: string, character?: name, volume?|rarity?|reward?|book?|gender?: value }
+// Drilling into a chart starts from a clean slate so the result matches
+// the number on the segment
+function applyChartFilter(filter) {
+  searchInput.value = "";
+  clearAllFilters();
+
+  Object.entries(filter).forEach(([name, value]) => {
+    if (name === "search") {
+      searchInput.value = value;
+    } else if (name === "character") {
+      characterFilter = value;
+    } else if (multiFilters[name]) {
+      setFilterValues(name, [value]);
+    }
+  });
+
+  render();
+  updateUrl("filter");
+
+  const tableSection = document.getElementById("table-section");
+  if (tableSection) {
+    tableSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+}
+
+function attachStatistics() {
+  const panel = document.getElementById("statistics");
+  const container = document.getElementById("statistics-charts");
+  if (!panel || !container) return;
+
+  // Drawn lazily, and again if the dataset has been swapped since
+  panel.addEventListener("toggle", () => {
+    if (panel.open && statisticsDrawnFor !== cards) drawStatistics();
+  });
+
+  container.addEventListener("click", (event) => {
+    const segment = event.target.closest(".chart-segment");
+    if (segment && chartSegmentFilters.has(segment)) {
+      applyChartFilter(chartSegmentFilters.get(segment));
+    }
+  });
+
+  container.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter" && event.key !== " ") return;
+
+    const segment = event.target.closest(".chart-segment");
+    if (segment && chartSegmentFilters.has(segment)) {
+      event.preventDefault();
+      applyChartFilter(chartSegmentFilters.get(segment));
+    }
+  });
+}
+
+// --- 13. Character and book profiles ---
+//
+// Full-screen pages listing every card of one character (or story), shown
+// above the detail overlay so "back" returns to the card you came from.
+
+// { type, key } of the open profile page, or null
+let openProfileState = null;
+
+// Character index built for the current cards array
+let characterIndex = null;
+let characterIndexFor = null;
+
+// Lower-case, accent-free key for a character name
+function normaliseCharacterKey(name) {
+  return normaliseForSearch(name).text.trim();
+}
+
+// Key → { key, name, cards }, grouping every individual character that
+// appears on a card. "Aslan / Leo Nolan" is filed under its first name,
+// and a lone first name ("Malek") joins the one full name that starts with
+// it ("Malek Sinner"); ambiguous ones ("John") stay separate.
+function getCharacterIndex() {
+  if (characterIndex && characterIndexFor === cards) return characterIndex;
+
+  const entries = new Map();
+
+  cards.forEach(card => {
+    splitCharacterNames(card.character).forEach(name => {
+      const key = normaliseCharacterKey(name.split(/\s*\/\s*/)[0]);
+      if (!key) return;
+
+      if (!entries.has(key)) {
+        entries.set(key, { key, name, cards: [] });
+      }
+
+      const entry = entries.get(key);
+      // prefer the most complete spelling for the heading
+      if (name.length > entry.name.length) entry.name = name;
+      if (!entry.cards.includes(card)) entry.cards.push(card);
+    });
+  });
+
+  [...entries.keys()].forEach(key => {
+    if (key.includes(" ")) return;
+
+    const fuller = [...entries.keys()].filter(other => other.startsWith(`${key} `));
+    if (fuller.length !== 1) return;
+
+    const target = entries.get(fuller[0]);
+    entries.get(key).cards.forEach(card => {
+      if (!target.cards.includes(card)) target.cards.push(card);
+    });
+    entries.delete(key);
+
+    // remember the merge so lookups by the short name still work
+    entries.set(key, target);
+  });
+
+  entries.forEach(entry => {
+    entry.cards.sort((a, b) => (a.volume ?? 0) - (b.volume ?? 0) || a._index - b._index);
+  });
+
+  characterIndex = entries;
+  characterIndexFor = cards;
+  return characterIndex;
+}
+
+// Canonical keys of every character on a card
+function getCharacterKeys(card) {
+  const index = getCharacterIndex();
+
+  return splitCharacterNames(card.character)
+    .map(name => index.get(normaliseCharacterKey(name.split(/\s*\/\s*/)[0])))
+    .filter(Boolean)
+    .map(entry => entry.key);
+}
+
+// Character field in the detail overlay: one link per individual character
+function renderCharacterLinks(container, card) {
+  container.innerHTML = "";
+
+  const names = splitCharacterNames(card.character);
+  const keys = getCharacterKeys(card);
+
+  if (names.length !== keys.length) {
+    container.textContent = card.character ?? "";
+    return;
+  }
+
+  names.forEach((name, i) => {
+    if (i > 0) {
+      container.appendChild(document.createTextNode(i === names.length - 1 ? " & " : ", "));
+    }
+
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "profile-link";
+    link.dataset.character = keys[i];
+    link.textContent = name;
+    link.title = t("profile.allCardsOf", { name });
+    container.appendChild(link);
+  });
+}
+
+function formatVolumeList(volumes) {
+  const sorted = [...new Set(volumes)].filter(v => v != null).sort((a, b) => a - b);
+  if (sorted.length === 0) return "";
+  return t("volume.list", { count: sorted.length, list: sorted.join(", ") });
+}
+
+// "12 cups · 240 diamonds"
+function formatRewardTotals(list) {
+  const totals = emptyRewardTotals();
+  list.forEach(card => addToRewardTotals(totals, card, false));
+
+  const parts = [];
+  if (totals.cupsTotal) parts.push(t("reward.cupsTotal", { count: totals.cupsTotal }));
+  if (totals.diamondsTotal) parts.push(t("reward.diamondsTotal", { count: totals.diamondsTotal }));
+  return parts.join(" · ");
+}
+
+// Table of cards for a profile page; clicking a row opens that card
+function buildProfileCardTable(list) {
+  const table = document.createElement("table");
+  table.className = "profile-table";
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th scope="col">${t("profile.art")}</th>
+        <th scope="col">${t("profile.card")}</th>
+        <th scope="col">${t("profile.vol")}</th>
+        <th scope="col">${t("filter.rarity")}</th>
+        <th scope="col">${t("filter.reward")}</th>
+        <th scope="col">${t("filter.book")}</th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+
+  const tbody = table.querySelector("tbody");
+
+  list.forEach(card => {
+    const tr = document.createElement("tr");
+    tr.dataset.cardId = card.id;
+    tr.tabIndex = 0;
+
+    const rarityClass = card.rarity ? `rarity-${rarityClassName(card.rarity)}` : "";
+
+    tr.innerHTML = `
+      <td class="thumb-cell">
+        ${card.image ? `<img src="${escapeHtml(card.image)}" alt="" class="thumb-image" loading="lazy" decoding="async">` : ""}
+      </td>
+      <td>
+        <span class="profile-card-name">${escapeHtml(getCardText(card, "cardName") ?? "")}</span>
+        <span class="profile-card-character">${escapeHtml(card.character ?? "")}</span>
+      </td>
+      <td>${escapeHtml(card.volume ?? "")}</td>
+      <td class="${rarityClass}">${escapeHtml(valueLabel("rarity", card.rarity))}</td>
+      <td>${formatRewardShort(card)}</td>
+      <td class="profile-books">${escapeHtml(getCardBooks(card).map(translateBookTitle).join("\n"))}</td>
+    `;
+
+    tbody.appendChild(tr);
+  });
+
+  return table;
+}
+
+function showProfile(state, { kind, title, summary, body }) {
+  const overlay = document.getElementById("profile-overlay");
+  if (!overlay) return;
+
+  document.getElementById("profile-kind").textContent = kind;
+  document.getElementById("profile-title").textContent = title;
+  document.getElementById("profile-summary").textContent = summary;
+
+  const bodyEl = document.getElementById("profile-body");
+  bodyEl.innerHTML = "";
+  bodyEl.appendChild(body);
+
+  openProfileState = state;
+
+  const wasOpen = overlay.classList.contains("open");
+
+  overlay.classList.remove("hidden");
+  overlay.classList.add("open");
+  overlay.scrollTop = 0;
+  document.body.classList.add("overlay-open");
+
+  if (!wasOpen) {
+    rememberDialogOpener(overlay);
+    document.getElementById("profile-close")?.focus();
+  }
+
+  updateUrl("profile");
+}
+
+// skipUrl: the caller records the next state itself (e.g. opening a card)
+function closeProfile(skipUrl = false) {
+  const overlay = document.getElementById("profile-overlay");
+  if (!overlay) return;
+
+  overlay.classList.remove("open");
+  overlay.classList.add("hidden");
+  openProfileState = null;
+
+  // keep the page locked if the card overlay is still underneath
+  if (!openCardId) {
+    document.body.classList.remove("overlay-open");
+  }
+
+  const opener = takeDialogOpener(overlay);
+  if (opener && opener.isConnected) {
+    opener.focus({ preventScroll: true });
+  }
+
+  if (!skipUrl) updateUrl("profile");
+}
+
+function openCharacterProfile(key) {
+  const entry = getCharacterIndex().get(key);
+  if (!entry) return;
+
+  const list = entry.cards;
+  const rarityCounts = countBy(list, card => card.rarity);
+  const rarityText = RARITIES
+    .filter(rarity => rarityCounts.has(rarity))
+    .map(rarity => `${rarityCounts.get(rarity)} ${valueLabel("rarity", rarity)}`)
+    .join(", ");
+
+  const summary = [
+    t("profile.cardsIn", { count: list.length, volumes: formatVolumeList(list.map(card => card.volume)) }),
+    rarityText,
+    formatRewardTotals(list)
+  ].filter(Boolean).join(" · ");
+
+  const body = document.createElement("div");
+  body.appendChild(buildProfileCardTable(list));
+
+  // Characters sharing a card with this one
+  const partners = new Map();
+  list.forEach(card => {
+    getCharacterKeys(card).forEach(otherKey => {
+      if (otherKey !== entry.key) partners.set(otherKey, getCharacterIndex().get(otherKey));
+    });
+  });
+
+  if (partners.size) {
+    const related = document.createElement("p");
+    related.className = "profile-related";
+    related.appendChild(document.createTextNode(t("profile.sharesWith")));
+
+    [...partners.values()].forEach((partner, i) => {
+      if (i > 0) related.appendChild(document.createTextNode(", "));
+
+      const link = document.createElement("button");
+      link.type = "button";
+      link.className = "profile-link";
+      link.dataset.character = partner.key;
+      link.textContent = partner.name;
+      related.appendChild(link);
+    });
+
+    body.appendChild(related);
+  }
+
+  showProfile({ type: "character", key: entry.key }, {
+    kind: t("profile.character"),
+    title: entry.name,
+    summary,
+    body
+  });
+}
+
+// Series name for a title, or the title itself when it stands alone
+function getBookSeries(title) {
+  return bookSeries.get(title) ?? title;
+}
+
+// Series name → { name, titles, cards }
+let bookIndex = null;
+let bookIndexFor = null;
+
+function getBookIndex() {
+  if (bookIndex && bookIndexFor === cards) return bookIndex;
+
+  const entries = new Map();
+
+  cards.forEach(card => {
+    getCardBooks(card).forEach(title => {
+      const name = getBookSeries(title);
+
+      if (!entries.has(name)) {
+        entries.set(name, { name, titles: new Map(), cards: [] });
+      }
+
+      const entry = entries.get(name);
+      entry.titles.set(title, (entry.titles.get(title) ?? 0) + 1);
+      if (!entry.cards.includes(card)) entry.cards.push(card);
+    });
+  });
+
+  entries.forEach(entry => {
+    entry.cards.sort((a, b) => (a.volume ?? 0) - (b.volume ?? 0) || a._index - b._index);
+  });
+
+  bookIndex = entries;
+  bookIndexFor = cards;
+  return bookIndex;
+}
+
+// Book field in the detail overlay: one link per title
+function renderBookLinks(container, card, fallbackText) {
+  container.innerHTML = "";
+
+  const titles = getCardBooks(card);
+  if (titles.length === 0) {
+    container.textContent = fallbackText;
+    return;
+  }
+
+  titles.forEach((title, i) => {
+    if (i > 0) container.appendChild(document.createTextNode(", "));
+
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "profile-link";
+    link.dataset.book = getBookSeries(title);
+    link.textContent = translateBookTitle(title);
+    link.title = t("profile.allCardsOf", { name: translateBookTitle(getBookSeries(title)) });
+    container.appendChild(link);
+  });
+}
+
+function openBookProfile(name) {
+  const entry = getBookIndex().get(name);
+  if (!entry) return;
+
+  const list = entry.cards;
+  const summary = [
+    t("profile.cardsIn", { count: list.length, volumes: formatVolumeList(list.map(card => card.volume)) }),
+    formatRewardTotals(list)
+  ].filter(Boolean).join(" · ");
+
+  const body = document.createElement("div");
+
+  // Titles of a series, with how many cards each has
+  if (entry.titles.size > 1 || !entry.titles.has(entry.name)) {
+    const titles = document.createElement("p");
+    titles.className = "profile-related";
+    // in the order the series file lists them
+    const order = [...bookSeries.keys()];
+    titles.textContent = t("profile.includes", {
+      titles: [...entry.titles]
+        .sort((a, b) => order.indexOf(a[0]) - order.indexOf(b[0]))
+        .map(([title, count]) => `${translateBookTitle(title)} (${count})`)
+        .join(", ")
+    });
+    body.appendChild(titles);
+  }
+
+  // Characters, most cards first
+  const characterCounts = new Map();
+  list.forEach(card => {
+    getCharacterKeys(card).forEach(key => {
+      characterCounts.set(key, (characterCounts.get(key) ?? 0) + 1);
+    });
+  });
+
+  if (characterCounts.size) {
+    const characters = document.createElement("p");
+    characters.className = "profile-related";
+    characters.appendChild(document.createTextNode(t("profile.characters")));
+
+    [...characterCounts]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key, count], i) => {
+        if (i > 0) characters.appendChild(document.createTextNode(", "));
+
+        const link = document.createElement("button");
+        link.type = "button";
+        link.className = "profile-link";
+        link.dataset.character = key;
+        link.textContent = getCharacterIndex().get(key).name;
+        characters.appendChild(link);
+
+        if (count > 1) characters.appendChild(document.createTextNode(` (${count})`));
+      });
+
+    body.appendChild(characters);
+  }
+
+  // One table per volume
+  const byVolume = new Map();
+  list.forEach(card => {
+    if (!byVolume.has(card.volume)) byVolume.set(card.volume, []);
+    byVolume.get(card.volume).push(card);
+  });
+
+  byVolume.forEach((volumeCards, volume) => {
+    const heading = document.createElement("h3");
+    heading.className = "profile-section-title";
+    heading.textContent = volume != null ? t("volume.long", { volume }) : t("volume.none");
+
+    const totals = document.createElement("span");
+    totals.className = "profile-section-totals";
+    totals.textContent = formatRewardTotals(volumeCards);
+    heading.appendChild(totals);
+
+    body.appendChild(heading);
+    body.appendChild(buildProfileCardTable(volumeCards));
+  });
+
+  showProfile({ type: "book", key: entry.name }, {
+    kind: entry.titles.size > 1 ? t("profile.series") : t("profile.book"),
+    title: translateBookTitle(entry.name),
+    summary,
+    body
+  });
+}
+
+// Open a card from a profile page, returning to the detail overlay
+function openCardFromProfile(cardId, variantIndex = 0) {
+  const card = cards.find(c => c.id === cardId);
+  if (!card) return;
+
+  closeProfile(true);
+  currentIndex = currentList.findIndex(c => c.id === cardId);
+  showCardDetails(card, variantIndex);
+}
+
+function attachProfiles() {
+  const overlay = document.getElementById("profile-overlay");
+  if (!overlay) return;
+
+  // Character and book links live in the detail overlay and on profile pages
+  document.addEventListener("click", (event) => {
+    const link = event.target.closest(".profile-link");
+    if (!link) return;
+
+    if (link.dataset.character) openCharacterProfile(link.dataset.character);
+    else if (link.dataset.book) openBookProfile(link.dataset.book);
+  });
+
+  const closeBtn = document.getElementById("profile-close");
+  if (closeBtn) closeBtn.addEventListener("click", () => closeProfile());
+
+  overlay.addEventListener("click", (event) => {
+    if (event.target === overlay) {
+      closeProfile();
+      return;
+    }
+
+    const row = event.target.closest(".profile-table tbody tr");
+    if (row) openCardFromProfile(row.dataset.cardId);
+  });
+
+  overlay.addEventListener("keydown", (event) => {
+    const row = event.target.closest(".profile-table tbody tr");
+    if (row && event.key === "Enter") {
+      event.preventDefault();
+      openCardFromProfile(row.dataset.cardId);
+    }
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if (!openProfileState) return;
+
+    if (event.key === "Tab") {
+      trapFocus(overlay, event);
+    } else if (event.key === "Escape" || event.key === "Esc") {
+      event.preventDefault();
+      closeProfile();
+    }
+  });
+}
+
+// --- 14. Card comparison ---
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+
+// Appearance shown per compared card, by id
+const compareVariantIndex = new Map();
+
+// Replace the pinned cards, ignoring unknown ids, duplicates and extras
+function setComparedCards(ids) {
+  comparedCardIds = [...new Set(ids)]
+    .filter(id => cards.some(card => card.id === id))
+    .slice(0, COMPARE_MAX);
+
+  renderCompareBar();
+  if (openCardId) updateCompareButton(openCardId);
+}
+
+function toggleCompared(cardId) {
+  if (comparedCardIds.includes(cardId)) {
+    comparedCardIds = comparedCardIds.filter(id => id !== cardId);
+  } else if (comparedCardIds.length < COMPARE_MAX) {
+    comparedCardIds.push(cardId);
+  } else {
+    return;
+  }
+
+  renderCompareBar();
+  if (openCardId) updateCompareButton(openCardId);
+
+  // A comparison with fewer than two cards has nothing to compare
+  if (openProfileState && openProfileState.type === "compare") {
+    if (comparedCardIds.length >= COMPARE_MIN) {
+      openComparison();
+      return;
+    }
+    closeProfile();
+    return;
+  }
+
+  updateUrl("compare");
+}
+
+function updateCompareButton(cardId) {
+  const button = document.getElementById("mobile-detail-compare");
+  if (!button) return;
+
+  const pinned = comparedCardIds.includes(cardId);
+  const full = !pinned && comparedCardIds.length >= COMPARE_MAX;
+
+  button.textContent = pinned
+    ? t("compare.unpin")
+    : full ? t("compare.full", { max: COMPARE_MAX }) : t("compare.pin");
+  button.disabled = full;
+  button.classList.toggle("is-owned", pinned);
+  button.setAttribute("aria-pressed", String(pinned));
+}
+
+// Bar along the bottom of the page listing the pinned cards
+function renderCompareBar() {
+  const bar = document.getElementById("compare-bar");
+  const list = document.getElementById("compare-bar-cards");
+  const openBtn = document.getElementById("compare-open");
+  if (!bar || !list) return;
+
+  list.innerHTML = "";
+
+  comparedCardIds.forEach(id => {
+    const card = cards.find(c => c.id === id);
+
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "filter-chip";
+    chip.dataset.cardId = id;
+    const name = `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`;
+    chip.setAttribute("aria-label", t("compare.unpinCard", { name }));
+
+    const text = document.createElement("span");
+    text.textContent = name;
+
+    const remove = document.createElement("span");
+    remove.className = "filter-chip-remove";
+    remove.setAttribute("aria-hidden", "true");
+    remove.textContent = "✕";
+
+    chip.append(text, remove);
+    list.appendChild(chip);
+  });
+
+  bar.classList.toggle("hidden", comparedCardIds.length === 0);
+  document.body.classList.toggle("has-compare-bar", comparedCardIds.length > 0);
+
+  if (openBtn) {
+    openBtn.disabled = comparedCardIds.length < COMPARE_MIN;
+    openBtn.textContent = t("compare.open", { count: comparedCardIds.length });
+  }
+}
+
+// Field rows of the comparison (label keys into UI_STRINGS); `text` is
+// also what decides "differs"
+const COMPARE_FIELDS = [
+  { label: "filter.rarity", text: card => valueLabel("rarity", card.rarity) },
+  { label: "filter.reward", text: card => formatRewardShort(card), html: true },
+  { label: "filter.volume", text: card => String(card.volume ?? "") },
+  { label: "filter.book", text: card => getCardBooks(card).map(translateBookTitle).join("\n") },
+  { label: "filter.gender", text: card => [].concat(card.gender ?? []).map(g => valueLabel("gender", g)).join(", ") },
+  { label: "compare.message", text: card => getCardText(card, "message") ?? "" }
+];
+
+function getCardVariants(card) {
+  const variants = Array.isArray(card.variants) ? card.variants.filter(Boolean) : [];
+  return variants.length ? variants : [card.image].filter(Boolean);
+}
+
+function buildCompareTable(list) {
+  const table = document.createElement("table");
+  table.className = "compare-table";
+
+  const headRow = document.createElement("tr");
+  headRow.appendChild(document.createElement("th"));
+
+  list.forEach(card => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.dataset.cardId = card.id;
+
+    const variants = getCardVariants(card);
+    const variantIndex = Math.min(compareVariantIndex.get(card.id) ?? 0, variants.length - 1);
+
+    if (variants.length) {
+      const img = document.createElement("img");
+      img.className = "compare-image";
+      img.src = variants[variantIndex];
+      img.alt = `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`;
+      img.decoding = "async";
+      th.appendChild(img);
+    }
+
+    if (variants.length > 1) {
+      const thumbs = document.createElement("div");
+      thumbs.className = "compare-variants";
+
+      variants.forEach((imagePath, index) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "compare-variant";
+        button.dataset.variant = String(index);
+        button.textContent = String(index + 1);
+        button.setAttribute("aria-label", t("card.appearanceOf", { index: index + 1, total: variants.length }));
+        button.setAttribute("aria-pressed", String(index === variantIndex));
+        thumbs.appendChild(button);
+      });
+
+      th.appendChild(thumbs);
+    }
+
+    const name = document.createElement("button");
+    name.type = "button";
+    name.className = "profile-link compare-open-card";
+    name.textContent = `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`;
+    th.appendChild(name);
+
+    const unpin = document.createElement("button");
+    unpin.type = "button";
+    unpin.className = "compare-unpin";
+    unpin.textContent = t("compare.unpinShort");
+    th.appendChild(unpin);
+
+    headRow.appendChild(th);
+  });
+
+  const thead = document.createElement("thead");
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+
+  COMPARE_FIELDS.forEach(field => {
+    const tr = document.createElement("tr");
+    const values = list.map(field.text);
+
+    if (new Set(values).size > 1) {
+      tr.classList.add("is-different");
+    }
+
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = t(field.label);
+    tr.appendChild(th);
+
+    list.forEach((card, i) => {
+      const td = document.createElement("td");
+      if (field.html) {
+        td.innerHTML = values[i];
+      } else {
+        td.textContent = values[i];
+      }
+      tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  return table;
+}
+
+function openComparison() {
+  const list = comparedCardIds.map(id => cards.find(c => c.id === id));
+  if (list.length < COMPARE_MIN) return;
+
+  const body = document.createElement("div");
+  body.className = "compare-scroll";
+  body.appendChild(buildCompareTable(list));
+
+  const differing = COMPARE_FIELDS.filter(field => new Set(list.map(field.text)).size > 1);
+
+  showProfile({ type: "compare" }, {
+    kind: t("compare.kind"),
+    title: t("compare.title", { count: list.length }),
+    summary: differing.length
+      ? t("compare.differ", { fields: differing.map(field => t(field.label).toLocaleLowerCase(language)).join(", ") })
+      : t("compare.same"),
+    body
+  });
+}
+
+function attachComparison() {
+  renderCompareBar();
+
+  const pinBtn = document.getElementById("mobile-detail-compare");
+  if (pinBtn) {
+    pinBtn.addEventListener("click", () => {
+      if (openCardId) toggleCompared(openCardId);
+    });
+  }
+
+  const list = document.getElementById("compare-bar-cards");
+  if (list) {
+    list.addEventListener("click", (event) => {
+      const chip = event.target.closest(".filter-chip");
+      if (chip) toggleCompared(chip.dataset.cardId);
+    });
+  }
+
+  const openBtn = document.getElementById("compare-open");
+  if (openBtn) openBtn.addEventListener("click", openComparison);
+
+  const clearBtn = document.getElementById("compare-clear");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      setComparedCards([]);
+      if (openProfileState && openProfileState.type === "compare") {
+        closeProfile();
+      } else {
+        updateUrl("compare");
+      }
+    });
+  }
+
+  // Variant switching, unpinning and opening cards inside the comparison
+  const profileBody = document.getElementById("profile-body");
+  if (profileBody) {
+    profileBody.addEventListener("click", (event) => {
+      const column = event.target.closest(".compare-table thead th[data-card-id]");
+      if (!column) return;
+
+      const cardId = column.dataset.cardId;
+
+      const variantBtn = event.target.closest(".compare-variant");
+      if (variantBtn) {
+        compareVariantIndex.set(cardId, Number(variantBtn.dataset.variant));
+        openComparison();
+        return;
+      }
+
+      if (event.target.closest(".compare-unpin")) {
+        toggleCompared(cardId);
+        return;
+      }
+
+      if (event.target.closest(".compare-open-card")) {
+        openCardFromProfile(cardId, compareVariantIndex.get(cardId) ?? 0);
+      }
+    });
+  }
+}
+
+// --- 15. Offline support ---
+//
+// sw.js caches the page, the dataset and viewed art. It tells us when a
+// fresh cards.json differs from the cached copy, and downloads a volume's
+// images on request.
+
+function showOfflineStatus(message, isError = false) {
+  const status = document.getElementById("offline-status");
+  if (!status) return;
+
+  status.textContent = message;
+  status.classList.toggle("is-error", isError);
+}
+
+// Main image plus every appearance of each card in a volume
+function getVolumeImageUrls(volume) {
+  const urls = new Set();
+
+  cards
+    .filter(card => String(card.volume) === String(volume))
+    .forEach(card => {
+      if (card.image) urls.add(card.image);
+      if (Array.isArray(card.variants)) {
+        card.variants.filter(Boolean).forEach(path => urls.add(path));
+      }
+    });
+
+  return [...urls];
+}
+
+function populateOfflineVolumes() {
+  const select = document.getElementById("offline-volume");
+  if (!select) return;
+
+  select.innerHTML = "";
+
+  const volumes = [...new Set(cards.map(card => card.volume))]
+    .filter(v => v != null)
+    .sort((a, b) => a - b);
+
+  volumes.forEach(volume => {
+    const option = document.createElement("option");
+    option.value = String(volume);
+    option.textContent = t("offline.volumeOption", { volume, count: getVolumeImageUrls(volume).length });
+    select.appendChild(option);
+  });
+}
+
+function downloadVolumeImages() {
+  const select = document.getElementById("offline-volume");
+  if (!select || !select.value) return;
+
+  const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!worker) {
+    showOfflineStatus(t("offline.unavailable"), true);
+    return;
+  }
+
+  const urls = getVolumeImageUrls(select.value)
+    .map(path => new URL(path, document.baseURI).href);
+
+  const label = t("volume.short", { volume: select.value });
+  showOfflineStatus(t("offline.progress", { label, done: 0, total: urls.length }));
+  worker.postMessage({ type: "precache-images", urls, label });
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+  if (!message) return;
+
+  if (message.type === "dataset-updated") {
+    const banner = document.getElementById("update-banner");
+    if (banner) banner.classList.remove("hidden");
+    return;
+  }
+
+  if (message.type === "precache-progress") {
+    const { label, done, total, failed } = message;
+
+    if (done < total) {
+      showOfflineStatus(t("offline.progress", { label, done, total }));
+    } else if (failed) {
+      showOfflineStatus(t("offline.partial", { label, saved: total - failed, total, failed }), true);
+    } else {
+      showOfflineStatus(t("offline.done", { label, total }));
+    }
+  }
+}
+
+function attachOfflineSupport() {
+  populateOfflineVolumes();
+
+  const downloadBtn = document.getElementById("offline-download");
+  if (downloadBtn) downloadBtn.addEventListener("click", downloadVolumeImages);
+
+  const reloadBtn = document.getElementById("update-reload");
+  if (reloadBtn) reloadBtn.addEventListener("click", () => window.location.reload());
+
+  // Service workers need http(s)
+  if (!("serviceWorker" in navigator) || window.location.protocol === "file:") {
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener("message", handleWorkerMessage);
+  navigator.serviceWorker.register("sw.js").catch(() => {
+    showOfflineStatus(t("offline.failed"), true);
+  });
+}
+
+// --- 16. Image lightbox ---
+
+const LIGHTBOX_MAX_SCALE = 5;
+
+// Finger travel (px) that turns a touch into a swipe instead of a tap
+const SWIPE_THRESHOLD = 50;
+
+// Two taps closer together than this (ms) reset the zoom
+const DOUBLE_TAP_MS = 300;
+
+// Zoom factor and pan offset (screen px from the centred position)
+const lightboxView = { scale: 1, x: 0, y: 0 };
+
+// Pointers currently down on the image, and the gesture they started
+const lightboxPointers = new Map();
+let lightboxGesture = null;
+let lastLightboxTap = 0;
+
+function isLightboxOpen() {
+  const lightbox = document.getElementById("lightbox");
+  return Boolean(lightbox && lightbox.classList.contains("open"));
+}
+
+function openLightbox() {
+  const lightbox = document.getElementById("lightbox");
+  if (!lightbox || !openCardId || isLightboxOpen()) return;
+
+  rememberDialogOpener(lightbox);
+  lightbox.classList.remove("hidden");
+  lightbox.classList.add("open");
+
+  updateLightbox();
+  document.getElementById("lightbox-close")?.focus();
+}
+
+function closeLightbox() {
+  const lightbox = document.getElementById("lightbox");
+  if (!lightbox) return;
+
+  lightbox.classList.remove("open");
+  lightbox.classList.add("hidden");
+  lightboxPointers.clear();
+  lightboxGesture = null;
+
+  const opener = takeDialogOpener(lightbox);
+  if (opener && opener.isConnected) {
+    opener.focus({ preventScroll: true });
+  }
+}
+
+// Show the open card's current appearance, fitted to the screen
+function updateLightbox() {
+  const card = cards.find(c => c.id === openCardId);
+  const images = card ? getCardVariants(card) : [];
+  if (images.length === 0) {
+    closeLightbox();
+    return;
+  }
+
+  const name = `${card.character ?? ""} – ${getCardText(card, "cardName") ?? ""}`;
+
+  const image = document.getElementById("lightbox-image");
+  image.src = images[currentVariantIndex] ?? "";
+  image.alt = name;
+
+  document.getElementById("lightbox-caption").textContent = images.length > 1
+    ? `${name} · ${t("card.appearanceOf", { index: currentVariantIndex + 1, total: images.length })}`
+    : name;
+
+  document.getElementById("lightbox-prev").classList.toggle("hidden", currentVariantIndex <= 0);
+  document.getElementById("lightbox-next").classList.toggle("hidden", currentVariantIndex >= images.length - 1);
+
+  // an arrow that just disappeared can't keep focus
+  const lightbox = document.getElementById("lightbox");
+  if (!hasFocusWithin(lightbox)) {
+    document.getElementById("lightbox-close")?.focus();
+  }
+
+  resetLightboxZoom();
+}
+
+function applyLightboxTransform() {
+  const image = document.getElementById("lightbox-image");
+  image.style.transform =
+    `translate(${lightboxView.x}px, ${lightboxView.y}px) scale(${lightboxView.scale})`;
+
+  document.getElementById("lightbox").classList.toggle("is-zoomed", lightboxView.scale > 1);
+}
+
+function resetLightboxZoom() {
+  lightboxView.scale = 1;
+  lightboxView.x = 0;
+  lightboxView.y = 0;
+  applyLightboxTransform();
+}
+
+// Don't let a zoomed image be dragged further than its own edges
+function clampLightboxPan() {
+  const image = document.getElementById("lightbox-image");
+  const maxX = image.offsetWidth * (lightboxView.scale - 1) / 2;
+  const maxY = image.offsetHeight * (lightboxView.scale - 1) / 2;
+
+  lightboxView.x = Math.min(Math.max(lightboxView.x, -maxX), maxX);
+  lightboxView.y = Math.min(Math.max(lightboxView.y, -maxY), maxY);
+}
+
+// Zoom to `scale` while keeping the screen point (clientX, clientY) in place
+function zoomLightboxAt(scale, clientX, clientY) {
+  const image = document.getElementById("lightbox-image");
+  const next = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_SCALE);
+
+  // Offset of the point from the image's untranslated centre
+  const rect = image.getBoundingClientRect();
+  const dx = clientX - (rect.left + rect.width / 2 - lightboxView.x);
+  const dy = clientY - (rect.top + rect.height / 2 - lightboxView.y);
+  const ratio = next / lightboxView.scale;
+
+  lightboxView.x = dx - (dx - lightboxView.x) * ratio;
+  lightboxView.y = dy - (dy - lightboxView.y) * ratio;
+  lightboxView.scale = next;
+
+  clampLightboxPan();
+  applyLightboxTransform();
+}
+
+function zoomLightboxCentre(factor) {
+  const rect = document.getElementById("lightbox-stage").getBoundingClientRect();
+  zoomLightboxAt(lightboxView.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+// Two pointers pinch; one pointer pans a zoomed image, or swipes an unzoomed
+// one (sideways for appearances, up/down for the neighbouring cards)
+function startLightboxGesture() {
+  const points = [...lightboxPointers.values()];
+
+  if (points.length >= 2) {
+    const [a, b] = points;
+    return {
+      type: "pinch",
+      distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+      scale: lightboxView.scale
+    };
+  }
+
+  const [point] = points;
+  return {
+    type: lightboxView.scale > 1 ? "pan" : "swipe",
+    startX: point.x,
+    startY: point.y,
+    x: lightboxView.x,
+    y: lightboxView.y,
+    moved: false
+  };
+}
+
+function moveLightboxGesture() {
+  const gesture = lightboxGesture;
+  const points = [...lightboxPointers.values()];
+
+  if (gesture.type === "pinch") {
+    if (points.length < 2) return;
+    const [a, b] = points;
+    const distance = Math.hypot(a.x - b.x, a.y - b.y);
+    zoomLightboxAt(gesture.scale * distance / gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    return;
+  }
+
+  const dx = points[0].x - gesture.startX;
+  const dy = points[0].y - gesture.startY;
+  if (Math.hypot(dx, dy) > 10) gesture.moved = true;
+
+  if (gesture.type === "pan") {
+    lightboxView.x = gesture.x + dx;
+    lightboxView.y = gesture.y + dy;
+    clampLightboxPan();
+    applyLightboxTransform();
+  } else {
+    // the image follows the finger until the swipe is decided
+    document.getElementById("lightbox-image").style.transform = `translate(${dx}px, ${dy}px)`;
+  }
+}
+
+function endLightboxGesture(point, cancelled) {
+  const gesture = lightboxGesture;
+  if (!gesture || gesture.type === "pinch") return;
+
+  const dx = point.x - gesture.startX;
+  const dy = point.y - gesture.startY;
+
+  if (!gesture.moved) {
+    if (!cancelled && Date.now() - lastLightboxTap < DOUBLE_TAP_MS) {
+      lastLightboxTap = 0;
+      resetLightboxZoom();
+    } else {
+      lastLightboxTap = Date.now();
+    }
+    return;
+  }
+
+  if (gesture.type !== "swipe") return;
+
+  applyLightboxTransform();
+  if (cancelled) return;
+
+  if (Math.abs(dx) >= SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+    showVariant(currentVariantIndex + (dx < 0 ? 1 : -1));
+  } else if (Math.abs(dy) >= SWIPE_THRESHOLD) {
+    if (dy < 0) {
+      showNextCard();
+    } else {
+      showPrevCard();
+    }
+  }
+}
+
+function attachLightbox() {
+  const lightbox = document.getElementById("lightbox");
+  const stage = document.getElementById("lightbox-stage");
+  const detailImage = document.getElementById("mobile-detail-image");
+  if (!lightbox || !stage) return;
+
+  if (detailImage) {
+    detailImage.addEventListener("click", openLightbox);
+    detailImage.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        openLightbox();
+      }
+    });
+  }
+
+  document.getElementById("lightbox-close").addEventListener("click", closeLightbox);
+  document.getElementById("lightbox-prev").addEventListener("click", () => {
+    showVariant(currentVariantIndex - 1);
+  });
+  document.getElementById("lightbox-next").addEventListener("click", () => {
+    showVariant(currentVariantIndex + 1);
+  });
+
+  stage.addEventListener("pointerdown", (event) => {
+    if (event.target !== document.getElementById("lightbox-image") && event.target !== stage) return;
+
+    if (stage.setPointerCapture) stage.setPointerCapture(event.pointerId);
+    lightboxPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    lightboxGesture = startLightboxGesture();
+  });
+
+  stage.addEventListener("pointermove", (event) => {
+    if (!lightboxPointers.has(event.pointerId)) return;
+
+    lightboxPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    moveLightboxGesture();
+  });
+
+  const release = (event) => {
+    if (!lightboxPointers.has(event.pointerId)) return;
+
+    lightboxPointers.delete(event.pointerId);
+
+    if (lightboxPointers.size === 0) {
+      endLightboxGesture({ x: event.clientX, y: event.clientY }, event.type === "pointercancel");
+      lightboxGesture = null;
+    } else {
+      // A finger left over from a pinch pans, but never counts as a tap or swipe
+      lightboxGesture = { ...startLightboxGesture(), moved: true };
+      if (lightboxGesture.type === "swipe") lightboxGesture.type = "pan";
+    }
+  };
+  stage.addEventListener("pointerup", release);
+  stage.addEventListener("pointercancel", release);
+
+  stage.addEventListener("wheel", (event) => {
+    event.preventDefault();
+    zoomLightboxAt(lightboxView.scale * Math.exp(-event.deltaY * 0.0015), event.clientX, event.clientY);
+  }, { passive: false });
+
+  document.addEventListener("keydown", (event) => {
+    if (!isLightboxOpen()) return;
+
+    switch (event.key) {
+      case "Tab":
+        trapFocus(lightbox, event);
+        return;
+      case "Escape":
+      case "Esc":
+        closeLightbox();
+        break;
+      case "ArrowLeft":
+        showVariant(currentVariantIndex - 1);
+        break;
+      case "ArrowRight":
+        showVariant(currentVariantIndex + 1);
+        break;
+      case "ArrowUp":
+        showPrevCard();
+        break;
+      case "ArrowDown":
+        showNextCard();
+        break;
+      case "+":
+      case "=":
+        zoomLightboxCentre(1.25);
+        break;
+      case "-":
+        zoomLightboxCentre(1 / 1.25);
+        break;
+      case "0":
+        resetLightboxZoom();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  });
+}
+
+// --- 17. Swipe gestures on the card overlay ---
+
+// Finger travel (px) before a touch is treated as a drag in one direction
+const DRAG_LOCK_DISTANCE = 10;
+
+// Pull-down distance (px) that closes the overlay
+const SWIPE_CLOSE_DISTANCE = 120;
+
+// Duration of the slide between cards; matches the CSS transition
+const CARD_SLIDE_MS = 200;
+
+// The touch being tracked: where it started, and once decided, its axis
+let overlaySwipe = null;
+
+// Pending swap of a card slide, cancelled if the overlay closes first
+let overlaySlideTimer = null;
+
+// Put the card back in place (animated unless `instant`)
+function settleOverlayCard(inner, instant = false) {
+  inner.classList.toggle("is-dragging", instant);
+  inner.style.transform = "";
+  inner.style.opacity = "";
+}
+
+// Slide the card out to one side, swap in the neighbour, slide it in
+function slideOverlayCard(inner, step) {
+  const canMove = step > 0
+    ? currentIndex >= 0 && currentIndex < currentList.length - 1
+    : currentIndex > 0;
+
+  if (!canMove) {
+    settleOverlayCard(inner);
+    return;
+  }
+
+  inner.style.transform = `translateX(${step > 0 ? "-100%" : "100%"})`;
+
+  clearTimeout(overlaySlideTimer);
+  overlaySlideTimer = setTimeout(() => {
+    overlaySlideTimer = null;
+
+    if (step > 0) {
+      showNextCard();
+    } else {
+      showPrevCard();
+    }
+
+    // jump to the opposite side without animating, then slide in
+    inner.classList.add("is-dragging");
+    inner.style.transform = `translateX(${step > 0 ? "100%" : "-100%"})`;
+    void inner.offsetWidth;
+    settleOverlayCard(inner);
+  }, CARD_SLIDE_MS);
+}
+
+// Drop any drag or slide in progress and put the card back in place, so
+// a closed overlay stays closed and opens again without a stale transform
+function resetOverlaySwipe() {
+  clearTimeout(overlaySlideTimer);
+  overlaySlideTimer = null;
+  overlaySwipe = null;
+
+  const inner = document.querySelector("#mobile-detail-overlay .mobile-detail-inner");
+  if (!inner) return;
+
+  inner.classList.remove("is-dragging");
+  inner.style.transform = "";
+  inner.style.opacity = "";
+}
+
+// A finished drag must not also count as a tap on what it started over
+function swallowNextClick(inner) {
+  const swallow = (event) => {
+    event.stopPropagation();
+    event.preventDefault();
+  };
+
+  inner.addEventListener("click", swallow, { capture: true, once: true });
+  setTimeout(() => inner.removeEventListener("click", swallow, { capture: true }), 400);
+}
+
+function attachOverlaySwipe() {
+  const overlay = document.getElementById("mobile-detail-overlay");
+  const inner = overlay && overlay.querySelector(".mobile-detail-inner");
+  if (!inner) return;
+
+  inner.addEventListener("touchstart", (event) => {
+    overlaySwipe = null;
+
+    // The thumbnail strip scrolls and taps on its own
+    if (event.touches.length !== 1 || event.target.closest(".variant-thumbnails")) return;
+
+    const touch = event.touches[0];
+    overlaySwipe = {
+      startX: touch.clientX,
+      startY: touch.clientY,
+      dx: 0,
+      dy: 0,
+      axis: null,
+      // pulling down only closes when there is nothing above to scroll back to
+      atTop: overlay.scrollTop <= 0 && inner.scrollTop <= 0
+    };
+  }, { passive: true });
+
+  inner.addEventListener("touchmove", (event) => {
+    const swipe = overlaySwipe;
+    if (!swipe || event.touches.length !== 1) {
+      overlaySwipe = null;
+      return;
+    }
+
+    const touch = event.touches[0];
+    const dx = touch.clientX - swipe.startX;
+    const dy = touch.clientY - swipe.startY;
+
+    if (!swipe.axis) {
+      if (Math.hypot(dx, dy) < DRAG_LOCK_DISTANCE) return;
+
+      if (Math.abs(dx) > Math.abs(dy)) {
+        swipe.axis = "x";
+      } else if (dy > 0 && swipe.atTop) {
+        swipe.axis = "y";
+      } else {
+        // an ordinary scroll of the card content
+        overlaySwipe = null;
+        return;
+      }
+
+      inner.classList.add("is-dragging");
+    }
+
+    event.preventDefault();
+    swipe.dx = dx;
+    swipe.dy = dy;
+
+    if (swipe.axis === "x") {
+      // drag with resistance where there is no card to move to
+      const atEnd = dx > 0 ? currentIndex <= 0 : currentIndex >= currentList.length - 1;
+      inner.style.transform = `translateX(${atEnd ? dx / 3 : dx}px)`;
+    } else {
+      const pull = Math.max(dy, 0);
+      inner.style.transform = `translateY(${pull}px)`;
+      inner.style.opacity = String(Math.max(1 - pull / 400, 0.4));
+    }
+  }, { passive: false });
+
+  const finish = (event) => {
+    const swipe = overlaySwipe;
+    overlaySwipe = null;
+    if (!swipe || !swipe.axis) return;
+
+    swallowNextClick(inner);
+    inner.classList.remove("is-dragging");
+
+    if (event.type === "touchcancel") {
+      settleOverlayCard(inner);
+    } else if (swipe.axis === "x") {
+      const width = inner.offsetWidth || window.innerWidth;
+      if (Math.abs(swipe.dx) >= Math.max(SWIPE_THRESHOLD, width * 0.2)) {
+        slideOverlayCard(inner, swipe.dx < 0 ? 1 : -1);
+      } else {
+        settleOverlayCard(inner);
+      }
+    } else if (swipe.dy >= SWIPE_CLOSE_DISTANCE) {
+      settleOverlayCard(inner, true);
+      closeOverlay();
+    } else {
+      settleOverlayCard(inner);
+    }
+  };
+
+  inner.addEventListener("touchend", finish);
+  inner.addEventListener("touchcancel", finish);
+}
+
+// --- 18. Dataset preview ---
+//
+// A draft cards.json, picked in the panel or dropped anywhere on the page,
+// is shown merged over the bundled cards or instead of them. It only lives
+// in memory: reloading the page, or the banner's button, goes back to the
+// bundled dataset. Entries are checked and prepared like cards.json, and
+// every view escapes card fields, so a broken file can't inject markup.
+
+// The bundled cards and their load status, kept while a preview is shown
+let bundledCards = null;
+let bundledDataStatus = null;
+
+// { file, mode: "merge" | "replace", count } while a preview is shown
+let previewDataset = null;
+
+// Bundled order, with cards the preview also has replaced in place and
+// its new cards at the end. Every card is a copy, so the bundled objects
+// are never changed while the preview is shown
+function mergeDatasets(base, overrides) {
+  const byId = new Map(overrides.map(card => [card.id, card]));
+  const merged = base.map(card => byId.get(card.id) ?? card);
+  const baseIds = new Set(base.map(card => card.id));
+
+  return merged
+    .concat(overrides.filter(card => !baseIds.has(card.id)))
+    .map((card, index) => ({ ...card, _index: index }));
+}
+
+// Point every view at a different card list
+function useDataset(list) {
+  cards = list;
+  cards.forEach((card, index) => {
+    card._index = index;
+  });
+
+  // Filter menus list this dataset's values; selections it lacks are dropped
+  Object.keys(multiFilters).forEach(name => {
+    multiFilters[name].querySelector(".multi-select-menu").replaceChildren();
+  });
+  populateFilterOptions();
+  Object.keys(multiFilters).forEach(name => setFilterValues(name, filterSelections[name]));
+
+  populateOfflineVolumes();
+  setComparedCards(comparedCardIds);
+
+  if (openProfileState) closeProfile();
+
+  if (openCardId) {
+    const openCard = cards.find(card => card.id === openCardId);
+    if (openCard) {
+      showCardDetails(openCard, currentVariantIndex);
+    } else {
+      closeOverlay();
+    }
+  }
+
+  const statsPanel = document.getElementById("statistics");
+  if (statsPanel && statsPanel.open) drawStatistics();
+
+  render();
+}
+
+async function previewDatasetFile(file, mode) {
+  const status = document.getElementById("preview-status");
+  const setStatus = (key, params) => {
+    if (status) status.textContent = t(key, params);
+  };
+
+  setStatus("preview.loading", { file: file.name });
+
+  let prepared;
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error(t("data.parseError", { file: file.name, error: e.message }));
+    }
+
+    if (!Array.isArray(data)) throw new Error(t("data.notList", { file: file.name }));
+
+    prepared = prepareCards(data);
+    if (prepared.valid.length === 0) throw new Error(t("preview.noCards"));
+  } catch (e) {
+    setStatus("preview.failed", { file: file.name, error: e.message });
+    return;
+  }
+
+  if (!previewDataset) {
+    bundledCards = cards;
+    bundledDataStatus = dataStatus;
+  }
+
+  const { valid, skipped } = prepared;
+  previewDataset = { file: file.name, mode, count: valid.length };
+
+  if (skipped.length) {
+    showDataStatus({ kind: "warning", key: "data.skipped", params: { count: skipped.length, file: file.name }, skipped });
+  } else {
+    showDataStatus(null);
+  }
+
+  useDataset(mode === "replace" ? valid : mergeDatasets(bundledCards, valid));
+  renderPreviewBanner();
+  setStatus("preview.loaded", { count: valid.length, file: file.name });
+}
+
+function leavePreview() {
+  if (!previewDataset) return;
+
+  previewDataset = null;
+  showDataStatus(bundledDataStatus);
+  useDataset(bundledCards);
+  renderPreviewBanner();
+
+  const status = document.getElementById("preview-status");
+  if (status) status.textContent = "";
+}
+
+function renderPreviewBanner() {
+  const banner = document.getElementById("preview-banner");
+  if (!banner) return;
+
+  banner.classList.toggle("hidden", !previewDataset);
+  if (!previewDataset) return;
+
+  const { file, mode, count } = previewDataset;
+  document.getElementById("preview-banner-text").textContent =
+    t("preview.banner", { file, count, mode: t(`preview.mode.${mode}`) });
+}
+
+function isJsonFile(file) {
+  return /\.json$/i.test(file.name) || file.type === "application/json";
+}
+
+function attachDatasetPreview() {
+  const fileInput = document.getElementById("preview-file");
+  const modeSelect = document.getElementById("preview-mode");
+  const exitBtn = document.getElementById("preview-exit");
+
+  const getMode = () => (modeSelect && modeSelect.value === "replace" ? "replace" : "merge");
+
+  if (fileInput) {
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files[0];
+      if (file) previewDatasetFile(file, getMode());
+      fileInput.value = ""; // picking the same file again re-reads it
+    });
+  }
+
+  if (exitBtn) exitBtn.addEventListener("click", leavePreview);
+
+  // --- Drag and drop anywhere on the page ---
+  // dragenter/dragleave fire for every child crossed, so count them
+  let dragDepth = 0;
+
+  const carriesFiles = event =>
+    event.dataTransfer && [...event.dataTransfer.types].includes("Files");
+
+  const setDropTarget = (active) => {
+    document.body.classList.toggle("dataset-drop-target", active);
+    if (active) document.body.dataset.dropLabel = t("preview.dropHere");
+  };
+
+  document.addEventListener("dragenter", (event) => {
+    if (!carriesFiles(event)) return;
+    dragDepth++;
+    setDropTarget(true);
+  });
+
+  document.addEventListener("dragover", (event) => {
+    if (!carriesFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  });
+
+  document.addEventListener("dragleave", (event) => {
+    if (!carriesFiles(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) setDropTarget(false);
+  });
+
+  document.addEventListener("drop", (event) => {
+    if (!carriesFiles(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    setDropTarget(false);
+
+    const file = [...event.dataTransfer.files].find(isJsonFile);
+    if (file) {
+      previewDatasetFile(file, getMode());
+    } else {
+      const status = document.getElementById("preview-status");
+      if (status) status.textContent = t("preview.notJson");
+    }
+  });
+}
+
+
+// --- 19. Saved views ---
+//
+// Named snapshots of the search, filters and column sort, kept in
+// localStorage and picked from the switcher next to the Clear buttons.
+// The "Saved views" panel renames, reorders and deletes them, and moves
+// them between devices as a JSON file.
+
+const SAVED_VIEWS_KEY = "savedViews";
+const SAVED_VIEWS_FORMAT = "rc-saved-views";
+
+// [{ name, search, filters: { volume: [...], … }, owned, character, sort: { key, direction } | null }]
+let savedViews = [];
+
+// A clean view from storage or an imported file, or null if it isn't one.
+// Filter values and sort keys this dataset lacks are dropped when applied
+function normaliseView(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return null;
+
+  const filters = {};
+  Object.keys(multiFilters).forEach(filterName => {
+    const values = raw.filters && raw.filters[filterName];
+    filters[filterName] = Array.isArray(values) ? values.map(String) : [];
+  });
+
+  const sort = raw.sort && typeof raw.sort.key === "string"
+    ? { key: raw.sort.key, direction: raw.sort.direction === "desc" ? "desc" : "asc" }
+    : null;
+
+  return {
+    name,
+    search: typeof raw.search === "string" ? raw.search : "",
+    filters,
+    owned: raw.owned === "owned" || raw.owned === "missing" ? raw.owned : "",
+    character: typeof raw.character === "string" ? raw.character : "",
+    sort
+  };
+}
+
+function loadSavedViews() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) ?? "[]");
+    if (Array.isArray(stored)) {
+      savedViews = stored.map(normaliseView).filter(Boolean);
+    }
+  } catch (e) {
+    // ignore storage or parse errors; start without saved views
+  }
+}
+
+function storeSavedViews() {
+  try {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(savedViews));
+  } catch (e) {
+    // ignore storage errors
+  }
+}
+
+function captureCurrentView(name) {
+  return {
+    name,
+    search: searchInput.value.trim(),
+    filters: Object.fromEntries(
+      Object.keys(multiFilters).map(filterName => [filterName, [...filterSelections[filterName]]])
+    ),
+    owned: filterOwned.value,
+    character: characterFilter,
+    sort: userSorted ? { key: currentSort.key, direction: currentSort.direction } : null
+  };
+}
+
+// What a view shows, ignoring its name and the order values were ticked in
+function getViewKey(view) {
+  return JSON.stringify([
+    view.search,
+    Object.keys(multiFilters).map(filterName => [...view.filters[filterName]].sort()),
+    view.owned,
+    view.character,
+    view.sort ? [view.sort.key, view.sort.direction] : null
+  ]);
+}
+
+function applySavedView(view) {
+  searchInput.value = view.search;
+  Object.keys(multiFilters).forEach(filterName => {
+    setFilterValues(filterName, view.filters[filterName]);
+  });
+  setSelectValue(filterOwned, view.owned);
+  characterFilter = view.character;
+
+  if (view.sort && getSortColumn(view.sort.key)) {
+    currentSort = { key: view.sort.key, direction: view.sort.direction };
+    userSorted = true;
+    updateSortIndicators();
+  } else {
+    currentSort = { key: "volume", direction: "asc" };
+    userSorted = false;
+    updateSortIndicators(false);
+  }
+
+  render();
+  updateUrl("filter");
+}
+
+// e.g. "search "lake" · Rarity: Epic · sorted by Volume, descending"
+function describeView(view) {
+  const parts = [];
+
+  if (view.search) parts.push(t("views.summarySearch", { text: view.search }));
+
+  Object.keys(multiFilters).forEach(filterName => {
+    const values = view.filters[filterName];
+    if (values.length) {
+      parts.push(`${getFilterLabel(filterName)}: ${values.map(value => getFilterOptionLabel(filterName, value)).join(", ")}`);
+    }
+  });
+
+  if (view.owned) {
+    const option = [...filterOwned.options].find(opt => opt.value === view.owned);
+    parts.push(`${getFilterLabel("owned")}: ${option ? option.textContent : view.owned}`);
+  }
+
+  if (view.character) parts.push(`${getFilterLabel("character")}: ${view.character}`);
+
+  const sortColumn = view.sort && getSortColumn(view.sort.key);
+  if (sortColumn) {
+    parts.push(t("views.summarySort", {
+      column: getColumnLabel(sortColumn),
+      direction: t(view.sort.direction === "desc" ? "views.descending" : "views.ascending")
+    }));
+  }
+
+  return parts.length ? parts.join(" · ") : t("views.summaryAll");
+}
+
+// Show the view matching the current state in the switcher, if any
+function syncSavedViewSelect() {
+  const select = document.getElementById("saved-view-select");
+  if (!select) return;
+
+  const key = getViewKey(captureCurrentView(""));
+  const index = savedViews.findIndex(view => getViewKey(view) === key);
+  select.value = index === -1 ? "" : String(index);
+}
+
+function renderSavedViews() {
+  const select = document.getElementById("saved-view-select");
+  const list = document.getElementById("saved-views-list");
+  const empty = document.getElementById("saved-views-empty");
+
+  if (select) {
+    // the first option is the "Saved views…" prompt
+    while (select.options.length > 1) select.lastElementChild.remove();
+
+    savedViews.forEach((view, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = view.name;
+      select.appendChild(option);
+    });
+
+    select.disabled = savedViews.length === 0;
+    syncSavedViewSelect();
+  }
+
+  if (empty) empty.classList.toggle("hidden", savedViews.length > 0);
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  savedViews.forEach((view, index) => {
+    const item = document.createElement("li");
+    item.className = "saved-view";
+    item.dataset.index = String(index);
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "saved-view-name";
+    name.value = view.name;
+    name.setAttribute("aria-label", t("views.rename", { number: index + 1 }));
+
+    const summary = document.createElement("span");
+    summary.className = "saved-view-summary";
+    summary.textContent = describeView(view);
+
+    const makeButton = (action, text, label) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.action = action;
+      button.textContent = text;
+      if (label) button.setAttribute("aria-label", label);
+      return button;
+    };
+
+    const up = makeButton("up", "↑", t("views.moveUp", { name: view.name }));
+    const down = makeButton("down", "↓", t("views.moveDown", { name: view.name }));
+    up.disabled = index === 0;
+    down.disabled = index === savedViews.length - 1;
+
+    item.append(
+      name,
+      summary,
+      makeButton("apply", t("views.apply")),
+      up,
+      down,
+      makeButton("delete", t("views.delete"))
+    );
+    list.appendChild(item);
+  });
+}
+
+function showSavedViewsStatus(message, isError = false) {
+  const status = document.getElementById("saved-views-status");
+  if (!status) return;
+
+  status.textContent = message;
+  status.classList.toggle("is-error", isError);
+}
+
+// Asks for a name; saving under an existing name replaces that view
+function saveCurrentView() {
+  const input = window.prompt(t("views.namePrompt"), t("views.defaultName", { number: savedViews.length + 1 }));
+  const name = input ? input.trim() : "";
+  if (!name) return;
+
+  const view = captureCurrentView(name);
+  const existing = savedViews.findIndex(saved => saved.name === name);
+
+  if (existing !== -1) {
+    if (!window.confirm(t("views.confirmOverwrite", { name }))) return;
+    savedViews[existing] = view;
+  } else {
+    savedViews.push(view);
+  }
+
+  storeSavedViews();
+  renderSavedViews();
+  showSavedViewsStatus(t("views.saved", { name }));
+}
+
+function renameSavedView(index, newName) {
+  const name = newName.trim();
+  const view = savedViews[index];
+  if (!view || name === view.name) return;
+
+  if (!name || savedViews.some(saved => saved !== view && saved.name === name)) {
+    if (name) showSavedViewsStatus(t("views.nameTaken", { name }), true);
+    renderSavedViews();
+    return;
+  }
+
+  view.name = name;
+  storeSavedViews();
+  renderSavedViews();
+  showSavedViewsStatus("");
+}
+
+function moveSavedView(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= savedViews.length) return;
+
+  [savedViews[index], savedViews[target]] = [savedViews[target], savedViews[index]];
+  storeSavedViews();
+  renderSavedViews();
+
+  focusMoveButton(document.querySelector(`#saved-views-list .saved-view[data-index="${target}"]`), offset);
+}
+
+// Keep the moved item's arrow under the keyboard, or the other arrow once
+// it has reached the end of the list
+function focusMoveButton(item, offset) {
+  if (!item) return;
+
+  const same = item.querySelector(`[data-action="${offset < 0 ? "up" : "down"}"]`);
+  const other = item.querySelector(`[data-action="${offset < 0 ? "down" : "up"}"]`);
+  const button = same && !same.disabled ? same : other;
+  if (button && !button.disabled) button.focus();
+}
+
+function exportSavedViews() {
+  const data = {
+    format: SAVED_VIEWS_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    views: savedViews
+  };
+
+  downloadFile("rc-saved-views.json", JSON.stringify(data, null, 2), "application/json");
+}
+
+// Accepts our export format or a bare array of views; views named like an
+// existing one replace it, the rest are added at the end
+function importSavedViews(text) {
+  const data = JSON.parse(text);
+
+  if (data && !Array.isArray(data) && data.format && data.format !== SAVED_VIEWS_FORMAT) {
+    throw new Error(t("views.badFormat", { format: data.format }));
+  }
+
+  const list = Array.isArray(data) ? data : data && data.views;
+  const views = Array.isArray(list) ? list.map(normaliseView).filter(Boolean) : [];
+  if (views.length === 0) {
+    throw new Error(t("views.noList"));
+  }
+
+  views.forEach(view => {
+    const existing = savedViews.findIndex(saved => saved.name === view.name);
+    if (existing !== -1) {
+      savedViews[existing] = view;
+    } else {
+      savedViews.push(view);
+    }
+  });
+
+  storeSavedViews();
+  renderSavedViews();
+
+  return views.length;
+}
+
+function attachSavedViews() {
+  const select = document.getElementById("saved-view-select");
+  const saveBtn = document.getElementById("save-view");
+  const manageBtn = document.getElementById("manage-views");
+  const panel = document.getElementById("saved-views");
+  const list = document.getElementById("saved-views-list");
+  const exportBtn = document.getElementById("export-views");
+  const fileInput = document.getElementById("import-views-file");
+
+  loadSavedViews();
+  renderSavedViews();
+
+  if (select) {
+    select.addEventListener("change", () => {
+      const view = savedViews[Number(select.value)];
+      if (view) applySavedView(view);
+    });
+  }
+
+  if (saveBtn) saveBtn.addEventListener("click", saveCurrentView);
+
+  if (manageBtn && panel) {
+    manageBtn.addEventListener("click", () => {
+      panel.open = true;
+      panel.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      panel.querySelector("summary").focus({ preventScroll: true });
+    });
+  }
+
+  if (list) {
+    list.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+
+      const index = Number(button.closest(".saved-view").dataset.index);
+      const view = savedViews[index];
+      if (!view) return;
+
+      if (button.dataset.action === "apply") {
+        applySavedView(view);
+      } else if (button.dataset.action === "up") {
+        moveSavedView(index, -1);
+      } else if (button.dataset.action === "down") {
+        moveSavedView(index, 1);
+      } else if (button.dataset.action === "delete" &&
+                 window.confirm(t("views.confirmDelete", { name: view.name }))) {
+        savedViews.splice(index, 1);
+        storeSavedViews();
+        renderSavedViews();
+      }
+    });
+
+    // Renames are committed when the field loses focus or on Enter
+    list.addEventListener("change", (event) => {
+      if (!event.target.classList.contains("saved-view-name")) return;
+      renameSavedView(Number(event.target.closest(".saved-view").dataset.index), event.target.value);
+    });
+
+    list.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && event.target.classList.contains("saved-view-name")) {
+        event.target.blur();
+      }
+    });
+  }
+
+  if (exportBtn) exportBtn.addEventListener("click", exportSavedViews);
+
+  if (fileInput) {
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+
+      try {
+        const count = importSavedViews(await file.text());
+        showSavedViewsStatus(t("views.imported", { count }));
+      } catch (e) {
+        showSavedViewsStatus(t("views.importFailed", { file: file.name, error: e.message }), true);
+      } finally {
+        // allow picking the same file again
+        fileInput.value = "";
+      }
+    });
+  }
+}
+
+
+// --- 20. Exporting the result list ---
+//
+// currentList (what the table shows, in its order) goes out as CSV, JSON,
+// a Markdown table or a printed checklist grouped by volume, with the
+// columns ticked in the panel. CSV, Markdown and the checklist carry the
+// text the user reads, in the active language; JSON keeps the raw values.
+
+const EXPORT_COLUMNS_KEY = "exportColumns";
+const LIST_EXPORT_FORMAT = "rc-card-list";
+
+// value: what JSON gets, when it differs from the displayed text
+const EXPORT_COLUMNS = [
+  { key: "id", text: card => card.id },
+  {
+    key: "cardName",
+    text: card => getCardText(card, "cardName") ?? "",
+    value: card => card.cardName ?? null
+  },
+  { key: "character", text: card => card.character ?? "" },
+  { key: "volume", text: card => card.volume ?? "", value: card => card.volume ?? null },
+  {
+    key: "book",
+    text: card => getCardBooks(card).map(translateBookTitle).join("; "),
+    value: card => getCardBooks(card)
+  },
+  {
+    key: "gender",
+    text: card => toArray(card.gender).map(gender => valueLabel("gender", gender)).join(", "),
+    value: card => toArray(card.gender)
+  },
+  { key: "rarity", text: card => valueLabel("rarity", card.rarity), value: card => card.rarity ?? null },
+  {
+    key: "reward",
+    text: card => card.reward ? `${card.rewardAmount ?? ""} ${valueLabel("reward", card.reward)}`.trim() : "",
+    value: card => card.reward ? { type: card.reward, amount: card.rewardAmount ?? null } : null
+  },
+  {
+    key: "message",
+    text: card => getCardText(card, "message") ?? "",
+    value: card => card.message ?? null
+  },
+  {
+    key: "owned",
+    text: card => t(ownedCardIds.has(card.id) ? "export.yes" : "export.no"),
+    value: card => ownedCardIds.has(card.id)
+  }
+];
+
+const DEFAULT_EXPORT_COLUMNS = ["cardName", "character", "volume", "rarity", "reward"];
+
+// Keys of the ticked columns, in EXPORT_COLUMNS order
+let exportColumnKeys = [...DEFAULT_EXPORT_COLUMNS];
+
+function toArray(value) {
+  if (value == null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function loadExportColumns() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY) ?? "null");
+    if (Array.isArray(stored)) {
+      exportColumnKeys = EXPORT_COLUMNS.map(column => column.key).filter(key => stored.includes(key));
+    }
+  } catch (e) {
+    // ignore storage or parse errors; keep the default columns
+  }
+}
+
+function storeExportColumns() {
+  try {
+    localStorage.setItem(EXPORT_COLUMNS_KEY, JSON.stringify(exportColumnKeys));
+  } catch (e) {
+    // ignore storage errors
+  }
+}
+
+function renderExportColumns() {
+  const container = document.getElementById("export-columns");
+  if (!container) return;
+
+  container.innerHTML = "";
+
+  EXPORT_COLUMNS.forEach(({ key }) => {
+    const label = document.createElement("label");
+    label.className = "export-column";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = key;
+    checkbox.checked = exportColumnKeys.includes(key);
+
+    label.append(checkbox, ` ${t(`column.${key}`)}`);
+    container.appendChild(label);
+  });
+}
+
+function showListExportStatus(message, isError = false) {
+  const status = document.getElementById("list-export-status");
+  if (!status) return;
+
+  status.textContent = message;
+  status.classList.toggle("is-error", isError);
+}
+
+// { columns, list } to export, or null (with the reason shown) when
+// there's nothing to export
+function getExportSelection() {
+  const columns = EXPORT_COLUMNS.filter(column => exportColumnKeys.includes(column.key));
+
+  if (columns.length === 0) {
+    showListExportStatus(t("export.noColumns"), true);
+    return null;
+  }
+
+  if (currentList.length === 0) {
+    showListExportStatus(t("export.empty"), true);
+    return null;
+  }
+
+  return { columns, list: currentList };
+}
+
+function buildListCsv({ columns, list }) {
+  const lines = [columns.map(column => csvEscape(getColumnLabel(column))).join(",")];
+
+  list.forEach(card => {
+    lines.push(columns.map(column => csvEscape(column.text(card))).join(","));
+  });
+
+  return lines.join("\r\n");
+}
+
+function buildListJson({ columns, list }) {
+  const data = {
+    format: LIST_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    // the search, filters and sort the list was made with, as in a share link
+    query: buildUrlParams().toString(),
+    cards: list.map(card => Object.fromEntries(
+      columns.map(column => [column.key, column.value ? column.value(card) : column.text(card)])
+    ))
+  };
+
+  return JSON.stringify(data, null, 2);
+}
+
+// A pipe would end the cell and a line break the row
+function markdownCell(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\|/g, "\\|")
+    .replace(/\s*[\r\n]+\s*/g, " ")
+    .trim();
+}
+
+function buildListMarkdown({ columns, list }) {
+  const row = cells => `| ${cells.map(markdownCell).join(" | ")} |`;
+
+  return [
+    row(columns.map(getColumnLabel)),
+    `|${columns.map(() => " --- ").join("|")}|`,
+    ...list.map(card => row(columns.map(column => column.text(card))))
+  ].join("\n");
+}
+
+function exportList(build, filename, type) {
+  const selection = getExportSelection();
+  if (!selection) return;
+
+  downloadFile(filename, build(selection), type);
+  showListExportStatus(t("export.done", { count: selection.list.length }));
+}
+
+async function copyListMarkdown() {
+  const selection = getExportSelection();
+  if (!selection) return;
+
+  const markdown = buildListMarkdown(selection);
+
+  // Always show the table too, in case clipboard access is blocked
+  const output = document.getElementById("markdown-output");
+  if (output) {
+    output.value = markdown;
+    output.classList.remove("hidden");
+    output.select();
+  }
+
+  try {
+    await navigator.clipboard.writeText(markdown);
+    showListExportStatus(t("export.copied"));
+  } catch (e) {
+    showListExportStatus(t("export.copyManually"));
+  }
+}
+
+// --- Printable checklist ---
+//
+// One table per volume, in the order volumes first appear in the list,
+// with a tick box, the card art and the chosen columns. Volume is the
+// group heading and ownership the tick, so those two columns are left out.
+// The sheet is only shown while printing.
+
+function buildChecklist({ columns, list }) {
+  const sheet = document.getElementById("print-checklist-sheet");
+  sheet.innerHTML = "";
+
+  const shownColumns = columns.filter(column => column.key !== "volume" && column.key !== "owned");
+  const countOwned = cardList => cardList.filter(card => ownedCardIds.has(card.id)).length;
+
+  const title = document.createElement("h1");
+  title.textContent = t("export.checklistTitle");
+
+  const summary = document.createElement("p");
+  summary.className = "checklist-summary";
+  summary.textContent = t("export.checklistSummary", {
+    count: list.length,
+    owned: countOwned(list),
+    date: new Date().toLocaleDateString(language)
+  });
+
+  sheet.append(title, summary);
+
+  const byVolume = new Map();
+  list.forEach(card => {
+    const volume = card.volume ?? null;
+    if (!byVolume.has(volume)) byVolume.set(volume, []);
+    byVolume.get(volume).push(card);
+  });
+
+  byVolume.forEach((volumeCards, volume) => {
+    const section = document.createElement("section");
+    section.className = "checklist-volume";
+
+    const heading = document.createElement("h2");
+    heading.textContent = t("export.checklistVolume", {
+      volume: volume == null ? t("volume.none") : t("volume.long", { volume }),
+      owned: countOwned(volumeCards),
+      total: volumeCards.length
+    });
+
+    const headRow = document.createElement("tr");
+    ["", "", ...shownColumns.map(getColumnLabel)].forEach(text => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement("tbody");
+
+    volumeCards.forEach(card => {
+      const tr = document.createElement("tr");
+
+      const boxCell = document.createElement("td");
+      const box = document.createElement("span");
+      box.className = "checklist-box";
+      if (ownedCardIds.has(card.id)) {
+        box.classList.add("is-ticked");
+        box.textContent = "✓";
+      }
+      boxCell.appendChild(box);
+
+      const thumbCell = document.createElement("td");
+      if (card.image) {
+        const img = document.createElement("img");
+        img.src = card.image;
+        img.alt = "";
+        img.className = "checklist-thumb";
+        thumbCell.appendChild(img);
+      }
+
+      tr.append(boxCell, thumbCell);
+
+      shownColumns.forEach(column => {
+        const td = document.createElement("td");
+        td.className = `checklist-${column.key}`;
+        td.textContent = column.text(card);
+        tr.appendChild(td);
+      });
+
+      tbody.appendChild(tr);
+    });
+
+    const table = document.createElement("table");
+    table.append(thead, tbody);
+    section.append(heading, table);
+    sheet.appendChild(section);
+  });
+
+  return sheet;
+}
+
+// Resolves once every image has loaded or failed, or after `timeout` ms
+function waitForImages(container, timeout = 5000) {
+  const pending = [...container.querySelectorAll("img")]
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener("load", resolve, { once: true });
+      img.addEventListener("error", resolve, { once: true });
+    }));
+
+  return Promise.race([
+    Promise.all(pending),
+    new Promise(resolve => setTimeout(resolve, timeout))
+  ]);
+}
+
+async function printChecklist() {
+  const selection = getExportSelection();
+  if (!selection) return;
+
+  const sheet = buildChecklist(selection);
+  await waitForImages(sheet);
+
+  document.body.classList.add("printing-checklist");
+  window.addEventListener("afterprint", () => {
+    document.body.classList.remove("printing-checklist");
+    sheet.innerHTML = "";
+  }, { once: true });
+
+  window.print();
+}
+
+function attachListExport() {
+  const columnsContainer = document.getElementById("export-columns");
+
+  loadExportColumns();
+  renderExportColumns();
+
+  if (columnsContainer) {
+    columnsContainer.addEventListener("change", () => {
+      exportColumnKeys = [...columnsContainer.querySelectorAll("input:checked")].map(input => input.value);
+      storeExportColumns();
+      showListExportStatus("");
+    });
+  }
+
+  const actions = {
+    "export-list-csv": () => exportList(buildListCsv, "rc-cards.csv", "text/csv"),
+    "export-list-json": () => exportList(buildListJson, "rc-cards.json", "application/json"),
+    "export-list-markdown": () => exportList(buildListMarkdown, "rc-cards.md", "text/markdown"),
+    "copy-list-markdown": copyListMarkdown,
+    "print-checklist": printChecklist
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener("click", action);
+  });
+}
+
+
+// --- 21. Table columns ---
+//
+// The table's columns come from TABLE_COLUMNS; the column picker shows,
+// hides and reorders them and the layout is kept per device in
+// localStorage. Headers with a sortKey sort through sortCards(), like the
+// built-in ones, and rows are rebuilt whenever the layout changes.
+
+const TABLE_COLUMNS_KEY = "tableColumns";
+
+// In default order; `hidden` columns start switched off. cell(card)
+// returns the cell's HTML, with card fields escaped
+const TABLE_COLUMNS = [
+  {
+    key: "art",
+    className: "thumb-cell",
+    cell: card => card.image
+      ? `<img src="${escapeHtml(card.image)}"
+           alt="${escapeHtml(card.character)}"
+           class="thumb-image"
+           loading="lazy"
+           decoding="async">`
+      : ""
+  },
+  // name and character are filled in getTableRow, with search highlights
+  { key: "cardName", sortKey: "cardName", cell: () => "" },
+  { key: "character", sortKey: "character", cell: () => "" },
+  { key: "volume", sortKey: "volume", cell: card => escapeHtml(card.volume) },
+  {
+    key: "rarity",
+    sortKey: "rarity",
+    className: card => card.rarity ? `rarity-${rarityClassName(card.rarity)}` : "",
+    cell: card => escapeHtml(valueLabel("rarity", card.rarity))
+  },
+  { key: "reward", sortKey: "reward", cell: formatRewardShort },
+  {
+    key: "owned",
+    className: "owned-cell",
+    cell: () => `
+      <label class="owned-label">
+        <input type="checkbox" class="owned-toggle" aria-label="${escapeHtml(t("card.owned"))}">
+      </label>`
+  },
+  {
+    key: "book",
+    sortKey: "book",
+    hidden: true,
+    cell: card => escapeHtml(getCardBooks(card).map(translateBookTitle).join("\n"))
+  },
+  {
+    key: "gender",
+    sortKey: "gender",
+    hidden: true,
+    cell: card => escapeHtml(toArray(card.gender).map(gender => valueLabel("gender", gender)).join(", "))
+  },
+  { key: "message", sortKey: "message", hidden: true, cell: card => escapeHtml(getCardText(card, "message")) },
+  { key: "variantCount", sortKey: "variantCount", hidden: true, cell: card => String(variantCount(card)) },
+  { key: "id", sortKey: "id", hidden: true, cell: card => escapeHtml(card.id) }
+];
+
+// [{ key, visible }] in display order
+let tableLayout = getDefaultTableLayout();
+
+function getDefaultTableLayout() {
+  return TABLE_COLUMNS.map(column => ({ key: column.key, visible: !column.hidden }));
+}
+
+function getTableColumn(key) {
+  return TABLE_COLUMNS.find(column => column.key === key);
+}
+
+function getVisibleColumns() {
+  return tableLayout.filter(entry => entry.visible).map(entry => getTableColumn(entry.key));
+}
+
+// The column that sorts by `key`, shown or not, or undefined
+function getSortColumn(key) {
+  return TABLE_COLUMNS.find(column => column.sortKey && column.sortKey === key);
+}
+
+function getColumnLabel(column) {
+  return t(`column.${column.key}`);
+}
+
+// Stored columns keep their order; unknown ones are dropped and columns
+// added since are appended with their default visibility
+function loadTableLayout() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TABLE_COLUMNS_KEY) ?? "null");
+    if (!Array.isArray(stored)) return;
+
+    const layout = stored
+      .filter(entry => entry && getTableColumn(entry.key))
+      .filter((entry, index, list) => list.findIndex(other => other.key === entry.key) === index)
+      .map(entry => ({ key: entry.key, visible: entry.visible !== false }));
+
+    getDefaultTableLayout().forEach(entry => {
+      if (!layout.some(other => other.key === entry.key)) layout.push(entry);
+    });
+
+    if (layout.some(entry => entry.visible)) tableLayout = layout;
+  } catch (e) {
+    // ignore storage or parse errors; keep the default columns
+  }
+}
+
+function storeTableLayout() {
+  try {
+    localStorage.setItem(TABLE_COLUMNS_KEY, JSON.stringify(tableLayout));
+  } catch (e) {
+    // ignore storage errors
+  }
+}
+
+function renderTableHeader() {
+  const headRow = cardsTable && cardsTable.querySelector("thead tr");
+  if (!headRow) return;
+
+  headRow.replaceChildren(...getVisibleColumns().map(column => {
+    const th = document.createElement("th");
+    th.className = `col-${column.key}`;
+    th.textContent = getColumnLabel(column);
+
+    if (column.sortKey) {
+      th.dataset.sortKey = column.sortKey;
+      th.tabIndex = 0;
+    }
+
+    return th;
+  }));
+
+  updateSortIndicators(userSorted);
+}
+
+function buildTableCells(card) {
+  return getVisibleColumns().map(column => {
+    const extraClass = typeof column.className === "function"
+      ? column.className(card)
+      : column.className;
+
+    return `<td class="col-${column.key}${extraClass ? ` ${extraClass}` : ""}">${column.cell(card)}</td>`;
+  }).join("");
+}
+
+// Redraw the header and every row for the new layout
+function applyTableLayout() {
+  storeTableLayout();
+  renderTableHeader();
+  renderColumnPicker();
+
+  renderCacheFor = null;
+  render();
+}
+
+function renderColumnPicker() {
+  const list = document.getElementById("table-column-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  const visibleCount = tableLayout.filter(entry => entry.visible).length;
+
+  tableLayout.forEach((entry, index) => {
+    const column = getTableColumn(entry.key);
+    const label = getColumnLabel(column);
+
+    const item = document.createElement("li");
+    item.className = "column-item";
+    item.dataset.index = String(index);
+
+    const toggle = document.createElement("label");
+    toggle.className = "column-toggle";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = entry.visible;
+    // the table always keeps one column
+    checkbox.disabled = entry.visible && visibleCount === 1;
+
+    toggle.append(checkbox, ` ${label}`);
+
+    const makeButton = (action, text, ariaLabel, disabled) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.action = action;
+      button.textContent = text;
+      button.setAttribute("aria-label", ariaLabel);
+      button.disabled = disabled;
+      return button;
+    };
+
+    item.append(
+      toggle,
+      makeButton("up", "↑", t("columns.moveUp", { name: label }), index === 0),
+      makeButton("down", "↓", t("columns.moveDown", { name: label }), index === tableLayout.length - 1)
+    );
+    list.appendChild(item);
+  });
+}
+
+function moveTableColumn(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= tableLayout.length) return;
+
+  [tableLayout[index], tableLayout[target]] = [tableLayout[target], tableLayout[index]];
+  applyTableLayout();
+
+  focusMoveButton(document.querySelector(`#table-column-list .column-item[data-index="${target}"]`), offset);
+}
+
+function attachTableColumns() {
+  const list = document.getElementById("table-column-list");
+  const resetBtn = document.getElementById("reset-columns");
+
+  loadTableLayout();
+  renderTableHeader();
+  renderColumnPicker();
+
+  if (list) {
+    list.addEventListener("change", (event) => {
+      const item = event.target.closest(".column-item");
+      if (!item) return;
+
+      tableLayout[Number(item.dataset.index)].visible = event.target.checked;
+      applyTableLayout();
+
+      const checkbox = list.querySelector(`.column-item[data-index="${item.dataset.index}"] input`);
+      if (checkbox) checkbox.focus();
+    });
+
+    list.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+
+      const index = Number(button.closest(".column-item").dataset.index);
+      moveTableColumn(index, button.dataset.action === "up" ? -1 : 1);
+    });
+  }
+
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      tableLayout = getDefaultTableLayout();
+      applyTableLayout();
+    });
+  }
+}
+
+
+// --- 22. Kick off ---
 
 init();
\ No newline at end of file
@@ -0,0 +1,202 @@
+// Checks data/cards.json (or the file given as the first argument) before it
+// ships: field types, id and volume conventions, image files, and values
+// against the canonical lists the app filters and sorts by.
+//
+//   npm run validate [-- path/to/cards.json]
+//
+// Prints a report grouped by card and exits with 1 when any error is found.
+// Warnings (e.g. unknown fields) are reported but don't fail the run.
+
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { GENDERS, RARITIES, REWARD_TIERS, REWARD_TYPES } from "../js/cards-query.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+// Ids that predate the <name>vol<N> convention; renaming them would break
+// saved collections, share codes and links
+const LEGACY_IDS = new Set(["christmas2024"]);
+
+const ID_PATTERN = /^[a-z][a-z0-9]*vol(\d+)$/;
+const IMAGE_PATTERN = /^images\/vol-(\d+)\/[^/]+\.(png|jpe?g|webp)$/;
+
+const KNOWN_FIELDS = new Set([
+  "id", "character", "cardName", "volume", "book", "gender", "reward",
+  "rarity", "rewardAmount", "message", "image", "variants", "translations"
+]);
+
+const TRANSLATED_FIELDS = new Set(["cardName", "message", "book"]);
+
+const isText = value => typeof value === "string" && value.trim() !== "";
+
+const list = values => values.join(", ");
+
+// Problems found in one card, split into errors and warnings
+function validateCard(card, index, seenIds) {
+  const errors = [];
+  const warnings = [];
+
+  if (!card || typeof card !== "object" || Array.isArray(card)) {
+    errors.push("entry is not an object");
+    return { errors, warnings };
+  }
+
+  // --- Required fields and types ---
+  ["id", "character", "cardName", "image"].forEach(field => {
+    if (!isText(card[field])) errors.push(`"${field}" must be a non-empty string`);
+  });
+
+  if (!Number.isInteger(card.volume) || card.volume < 1) {
+    errors.push(`"volume" must be a positive whole number (got ${JSON.stringify(card.volume)})`);
+  }
+
+  if (card.message !== undefined && typeof card.message !== "string") {
+    errors.push(`"message" must be a string`);
+  }
+
+  if (card.book !== undefined) {
+    const books = Array.isArray(card.book) ? card.book : [card.book];
+    if (books.length === 0 || !books.every(isText)) {
+      errors.push(`"book" must be a title or a non-empty list of titles`);
+    }
+  }
+
+  Object.keys(card)
+    .filter(field => !KNOWN_FIELDS.has(field))
+    .forEach(field => warnings.push(`unknown field "${field}"`));
+
+  // --- Id convention ---
+  if (isText(card.id)) {
+    if (seenIds.has(card.id)) {
+      errors.push(`duplicate id (also entry #${seenIds.get(card.id)})`);
+    } else {
+      seenIds.set(card.id, index);
+    }
+
+    const match = card.id.match(ID_PATTERN);
+    if (!LEGACY_IDS.has(card.id)) {
+      if (!match) {
+        errors.push(`id should look like <name>vol<N>, e.g. "sarahvol26"`);
+      } else if (Number(match[1]) !== card.volume) {
+        errors.push(`id says volume ${match[1]} but "volume" is ${card.volume}`);
+      }
+    }
+  }
+
+  // --- Images ---
+  const images = isText(card.image) ? [["image", card.image]] : [];
+
+  if (card.variants !== undefined) {
+    if (!Array.isArray(card.variants) || card.variants.length === 0 || !card.variants.every(isText)) {
+      errors.push(`"variants" must be a non-empty list of image paths`);
+    } else {
+      card.variants.forEach((path, i) => images.push([`variants[${i}]`, path]));
+    }
+  }
+
+  images.forEach(([field, path]) => {
+    const match = path.match(IMAGE_PATTERN);
+    if (!match) {
+      errors.push(`${field} "${path}" should be images/vol-NN/<file>`);
+    } else if (Number.isInteger(card.volume) && Number(match[1]) !== card.volume) {
+      errors.push(`${field} is in folder vol-${match[1]} but "volume" is ${card.volume}`);
+    }
+
+    if (!existsSync(join(ROOT, path))) {
+      errors.push(`${field} "${path}" does not exist`);
+    }
+  });
+
+  // --- Canonical values ---
+  if (!RARITIES.includes(card.rarity)) {
+    errors.push(`rarity ${JSON.stringify(card.rarity)} is not one of ${list(RARITIES)}`);
+  }
+
+  const genders = Array.isArray(card.gender) ? card.gender : [card.gender];
+  if (genders.length === 0) {
+    errors.push(`"gender" must not be an empty list`);
+  }
+  genders
+    .filter(gender => !GENDERS.includes(gender))
+    .forEach(gender => errors.push(`gender ${JSON.stringify(gender)} is not one of ${list(GENDERS)}`));
+
+  if (!REWARD_TYPES.includes(card.reward)) {
+    errors.push(`reward ${JSON.stringify(card.reward)} is not one of ${list(REWARD_TYPES)}`);
+  } else if (!REWARD_TIERS[card.reward].includes(card.rewardAmount)) {
+    errors.push(`rewardAmount ${JSON.stringify(card.rewardAmount)} is not a ${card.reward} tier (${list(REWARD_TIERS[card.reward])})`);
+  }
+
+  // --- Translations (optional) ---
+  if (card.translations !== undefined) {
+    if (!card.translations || typeof card.translations !== "object") {
+      errors.push(`"translations" must map a language code to translated fields`);
+    } else {
+      Object.entries(card.translations).forEach(([language, fields]) => {
+        Object.keys(fields ?? {})
+          .filter(field => !TRANSLATED_FIELDS.has(field))
+          .forEach(field => warnings.push(`translations.${language} has unknown field "${field}"`));
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function validateFile(file) {
+  let cards;
+  try {
+    cards = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    return { fatal: `could not read ${file}: ${e.message}` };
+  }
+
+  if (!Array.isArray(cards)) {
+    return { fatal: `${file} must contain a JSON array of cards` };
+  }
+
+  const seenIds = new Map();
+  const results = cards.map((card, index) => ({
+    label: `#${index}${card && isText(card.id) ? ` ${card.id}` : ""}`,
+    ...validateCard(card, index, seenIds)
+  }));
+
+  return { cards, results };
+}
+
+function printReport(file, { cards, results }) {
+  const withProblems = results.filter(r => r.errors.length || r.warnings.length);
+  const errorCount = results.reduce((sum, r) => sum + r.errors.length, 0);
+  const warningCount = results.reduce((sum, r) => sum + r.warnings.length, 0);
+
+  const shownPath = file.startsWith(process.cwd()) ? relative(process.cwd(), file) : file;
+  console.log(`Checked ${cards.length} cards in ${shownPath}\n`);
+
+  withProblems.forEach(({ label, errors, warnings }) => {
+    console.log(`${errors.length ? "✗" : "!"} ${label}`);
+    errors.forEach(message => console.log(`    error: ${message}`));
+    warnings.forEach(message => console.log(`    warning: ${message}`));
+  });
+
+  if (withProblems.length) console.log("");
+
+  if (errorCount === 0) {
+    console.log(`OK – no errors${warningCount ? `, ${warningCount} warning(s)` : ""}.`);
+  } else {
+    const cardCount = results.filter(r => r.errors.length).length;
+    console.log(`${errorCount} error(s) in ${cardCount} card(s)${warningCount ? `, ${warningCount} warning(s)` : ""}.`);
+  }
+
+  return errorCount;
+}
+
+const file = resolve(process.argv[2] ?? join(ROOT, "data", "cards.json"));
+const outcome = validateFile(file);
+
+if (outcome.fatal) {
+  console.error(`✗ ${outcome.fatal}`);
+  process.exitCode = 1;
+} else if (printReport(file, outcome) > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,200 @@
+// Service worker: keeps the catalogue usable offline.
+//
+// - The app shell (page, script, styles) is fetched network-first and
+//   cached per SHELL_VERSION; bump it when those files change.
+// - The dataset is fetched network-first too, into a cache of the same
+//   version, and the cached copy answers when offline. On a connection too
+//   slow to answer within DATA_NETWORK_TIMEOUT_MS the cached copy is used
+//   and, if the one that arrives later differs, the page is told so it can
+//   offer a reload.
+// - Card art is cached on first view (or when a volume is pre-downloaded)
+//   and then served from cache.
+
+const SHELL_VERSION = "v4";
+const SHELL_CACHE = `rc-shell-${SHELL_VERSION}`;
+const DATA_CACHE = `rc-data-${SHELL_VERSION}`;
+const IMAGE_CACHE = "rc-images";
+
+const DATA_NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "css/style.css",
+  "js/main.js",
+  "js/cards-query.js",
+  "manifest.webmanifest",
+  "images/icon.svg",
+  "images/placeholder.svg",
+  "images/cup.png",
+  "images/diamond.png"
+];
+
+const DATA_FILES = [
+  "data/cards.json",
+  "data/book-series.json"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+
+    const data = await caches.open(DATA_CACHE);
+    await data.addAll(DATA_FILES);
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    // drop shell and data caches from earlier versions (including the
+    // unversioned "rc-data")
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name =>
+        (name.startsWith("rc-shell-") && name !== SHELL_CACHE) ||
+        (name.startsWith("rc-data") && name !== DATA_CACHE))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const path = url.pathname.slice(self.registration.scope.length - self.location.origin.length);
+
+  if (path.startsWith("data/")) {
+    event.respondWith(serveDataset(event, request));
+  } else if (path.startsWith("images/")) {
+    event.respondWith(serveImage(request));
+  } else {
+    event.respondWith(serveShell(request));
+  }
+});
+
+async function serveShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+
+    // one entry per path: "./?q=..." style links would otherwise each add
+    // a copy of the page
+    if (response.ok) {
+      const url = new URL(request.url);
+      url.search = "";
+      cache.put(url.href, response.clone());
+    }
+
+    return response;
+  } catch (e) {
+    // offline: the page itself also answers for "./?q=..." style URLs
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached ?? Response.error();
+  }
+}
+
+async function serveImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    // offline and never viewed: show the placeholder art
+    const placeholder = await caches.match("images/placeholder.svg");
+    return placeholder ?? Response.error();
+  }
+}
+
+// Network first; the cached copy answers when offline, or when the
+// network is too slow, in which case a later copy that differs prompts
+// the page to offer a reload
+async function serveDataset(event, request) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  // read before `cached` is handed to the page, which uses up its body
+  const staleText = cached ? cached.clone().text() : Promise.resolve(null);
+
+  // { response, changed }; rejects when offline
+  const fromNetwork = fetch(request, { cache: "no-cache" }).then(async (response) => {
+    if (!response.ok) return { response, changed: false };
+
+    const fresh = await response.clone().text();
+    const stale = await staleText;
+
+    await cache.put(request, response.clone());
+    return { response, changed: stale !== null && stale !== fresh };
+  });
+
+  if (!cached) {
+    try {
+      return (await fromNetwork).response;
+    } catch (e) {
+      return Response.error();
+    }
+  }
+
+  const timeout = new Promise(resolve => setTimeout(resolve, DATA_NETWORK_TIMEOUT_MS, null));
+
+  try {
+    const result = await Promise.race([fromNetwork, timeout]);
+    if (result) return result.response;
+  } catch (e) {
+    return cached;
+  }
+
+  event.waitUntil(fromNetwork.then(
+    ({ changed }) => changed && notifyClients({ type: "dataset-updated" }),
+    () => {}
+  ));
+
+  return cached;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// { type: "precache-images", urls, label } from the page: download every
+// image that isn't cached yet, reporting progress back to the sender
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || message.type !== "precache-images") return;
+
+  event.waitUntil(precacheImages(event.source, message));
+});
+
+async function precacheImages(client, { urls, label }) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const total = urls.length;
+  let done = 0;
+  let failed = 0;
+
+  for (const url of urls) {
+    try {
+      if (!(await cache.match(url))) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(response.statusText);
+        await cache.put(url, response);
+      }
+    } catch (e) {
+      failed++;
+    }
+
+    done++;
+    client.postMessage({ type: "precache-progress", label, done, total, failed });
+  }
+}
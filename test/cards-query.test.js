@@ -0,0 +1,236 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  filterCards,
+  sortCards,
+  matchesBook,
+  matchesGender,
+  rewardTier,
+  rewardDescScore,
+  splitCharacterNames,
+  variantCount
+} from "../js/cards-query.js";
+
+// Minimal cards: only the fields the rules look at, in dataset order
+function makeCards(specs) {
+  return specs.map((spec, index) => ({ id: `card${index}`, _index: index, ...spec }));
+}
+
+const ids = list => list.map(card => card.id);
+
+describe("rewardTier", () => {
+  test("puts cup and diamond amounts on the same 2/4/8/12 scale", () => {
+    assert.equal(rewardTier({ reward: "Cups", rewardAmount: 2 }), 2);
+    assert.equal(rewardTier({ reward: "Cups", rewardAmount: 12 }), 12);
+    assert.equal(rewardTier({ reward: "Diamonds", rewardAmount: 20 }), 2);
+    assert.equal(rewardTier({ reward: "Diamonds", rewardAmount: 120 }), 12);
+  });
+
+  test("sends cards without a known reward to the end", () => {
+    assert.equal(rewardTier({}), 9999);
+    assert.equal(rewardTier({ reward: "Stars", rewardAmount: 5 }), 9999);
+  });
+});
+
+describe("rewardDescScore", () => {
+  test("ranks every diamond reward above every cup reward", () => {
+    const scores = [
+      { reward: "Diamonds", rewardAmount: 20 },
+      { reward: "Cups", rewardAmount: 12 }
+    ].map(rewardDescScore);
+
+    assert.ok(scores[0] > scores[1]);
+    assert.equal(rewardDescScore({}), -1);
+  });
+});
+
+describe("sortCards by rarity", () => {
+  const cards = makeCards([
+    { rarity: "Epic", reward: "Cups", rewardAmount: 2, volume: 1 },
+    { rarity: "Common", reward: "Diamonds", rewardAmount: 40, volume: 1 },
+    { rarity: "Common", reward: "Cups", rewardAmount: 2, volume: 3 },
+    { rarity: "Common", reward: "Diamonds", rewardAmount: 20, volume: 2 },
+    { rarity: "Common", reward: "Diamonds", rewardAmount: 20, volume: 3 },
+    { rarity: "Rare", reward: "Cups", rewardAmount: 8, volume: 1 }
+  ]);
+
+  test("ascending: rank, then reward tier, then volume, then cups first", () => {
+    const sorted = sortCards(cards, { key: "rarity", direction: "asc" });
+
+    // card2 (2 cups) and card4 (20 diamonds) share tier 2 and volume 3,
+    // so the cup reward goes first
+    assert.deepEqual(ids(sorted), ["card3", "card2", "card4", "card1", "card5", "card0"]);
+  });
+
+  test("descending: rank and tier reverse, volume stays ascending", () => {
+    const sorted = sortCards(cards, { key: "rarity", direction: "desc" });
+
+    assert.deepEqual(ids(sorted), ["card0", "card5", "card1", "card3", "card2", "card4"]);
+  });
+});
+
+describe("sortCards by reward", () => {
+  const cards = makeCards([
+    { reward: "Diamonds", rewardAmount: 20, volume: 2 },
+    { reward: "Cups", rewardAmount: 12, volume: 1 },
+    { reward: "Diamonds", rewardAmount: 120, volume: 4 },
+    { reward: "Cups", rewardAmount: 2, volume: 5 },
+    { reward: "Cups", rewardAmount: 2, volume: 1 },
+    { reward: "Diamonds", rewardAmount: 20, volume: 1 },
+    { volume: 1 }
+  ]);
+
+  test("ascending: cups before diamonds, then amount, then volume", () => {
+    const sorted = sortCards(cards, { key: "reward", direction: "asc" });
+
+    assert.deepEqual(ids(sorted), ["card4", "card3", "card1", "card5", "card0", "card2", "card6"]);
+  });
+
+  test("descending: diamonds outrank cups, bigger amounts first, volume ascending", () => {
+    const sorted = sortCards(cards, { key: "reward", direction: "desc" });
+
+    assert.deepEqual(ids(sorted), ["card2", "card5", "card0", "card1", "card4", "card3", "card6"]);
+  });
+
+  test("descending order holds across the real dataset", () => {
+    const dataset = JSON.parse(readFileSync(new URL("../data/cards.json", import.meta.url), "utf8"))
+      .map((card, index) => ({ ...card, _index: index }));
+
+    const sorted = sortCards(dataset, { key: "reward", direction: "desc" });
+    const labels = [...new Set(sorted.map(card => `${card.rewardAmount} ${card.reward}`))];
+
+    assert.deepEqual(labels, [
+      "120 Diamonds", "80 Diamonds", "40 Diamonds", "20 Diamonds",
+      "12 Cups", "8 Cups", "4 Cups", "2 Cups"
+    ]);
+  });
+});
+
+describe("sortCards by other columns", () => {
+  test("ties keep the dataset order", () => {
+    const cards = makeCards([{ volume: 2 }, { volume: 1 }, { volume: 2 }, { volume: 1 }]);
+
+    assert.deepEqual(ids(sortCards(cards, { key: "volume", direction: "asc" })), ["card1", "card3", "card0", "card2"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "volume", direction: "desc" })), ["card0", "card2", "card1", "card3"]);
+  });
+
+  test("text uses the collator and array fields sort by their first item", () => {
+    const cards = makeCards([
+      { character: "émile", gender: ["Male", "Female"] },
+      { character: "Zed", gender: "Female" },
+      { character: "adam", gender: ["Male"] }
+    ]);
+    const collator = new Intl.Collator("en", { sensitivity: "base" });
+
+    assert.deepEqual(ids(sortCards(cards, { key: "character", direction: "asc" }, { collator })), ["card2", "card0", "card1"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "gender", direction: "asc" }, { collator })), ["card1", "card0", "card2"]);
+  });
+
+  test("card names sort by the text supplied for display", () => {
+    const cards = makeCards([
+      { cardName: "Alpha", translations: { ru: { cardName: "Яблоко" } } },
+      { cardName: "Beta", translations: { ru: { cardName: "Арбуз" } } }
+    ]);
+    const getText = (card, field) => card.translations.ru[field];
+
+    assert.deepEqual(ids(sortCards(cards, { key: "cardName", direction: "asc" })), ["card0", "card1"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "cardName", direction: "asc" }, { getText })), ["card1", "card0"]);
+  });
+
+  test("books and messages sort by the text supplied for display", () => {
+    const cards = makeCards([
+      {
+        book: ["Kali", "Te Amo"],
+        message: "Always",
+        translations: { ru: { book: ["Яд", "Те Амо"], message: "Всегда" } }
+      },
+      {
+        book: "Lovestruck",
+        message: "Maybe",
+        translations: { ru: { book: "Аметист", message: "Возможно" } }
+      }
+    ]);
+    const getText = (card, field) => card.translations.ru[field];
+
+    assert.deepEqual(ids(sortCards(cards, { key: "book", direction: "asc" })), ["card0", "card1"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "book", direction: "asc" }, { getText })), ["card1", "card0"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "message", direction: "asc" })), ["card0", "card1"]);
+    assert.deepEqual(ids(sortCards(cards, { key: "message", direction: "asc" }, { getText })), ["card1", "card0"]);
+  });
+
+  test("variant count counts appearances, falling back to the main image", () => {
+    const cards = makeCards([
+      { image: "a.png", variants: ["a.png", "b.png", "c.png"] },
+      { image: "a.png" },
+      {},
+      { image: "a.png", variants: ["a.png", "", "b.png"] }
+    ]);
+
+    assert.deepEqual(cards.map(variantCount), [3, 1, 0, 2]);
+    assert.deepEqual(ids(sortCards(cards, { key: "variantCount", direction: "desc" })), ["card0", "card3", "card1", "card2"]);
+  });
+
+  test("does not reorder the list it was given", () => {
+    const cards = makeCards([{ volume: 2 }, { volume: 1 }]);
+    sortCards(cards, { key: "volume", direction: "asc" });
+
+    assert.deepEqual(ids(cards), ["card0", "card1"]);
+  });
+});
+
+describe("filterCards", () => {
+  const cards = makeCards([
+    { volume: 1, book: ["Kali", "Te Amo"], gender: "Female", reward: "Cups", rarity: "Common" },
+    { volume: 2, book: "Kali", gender: ["Male", "Female"], reward: "Diamonds", rarity: "Epic" },
+    { volume: 10, gender: "Male", reward: "Cups", rarity: "Rare" }
+  ]);
+
+  test("returns everything for an empty query", () => {
+    assert.deepEqual(ids(filterCards(cards)), ["card0", "card1", "card2"]);
+  });
+
+  test("matches volumes as strings, and books and genders held in arrays", () => {
+    assert.deepEqual(ids(filterCards(cards, { volume: new Set(["1", "10"]) })), ["card0", "card2"]);
+    assert.deepEqual(ids(filterCards(cards, { book: ["Te Amo"] })), ["card0"]);
+    assert.deepEqual(ids(filterCards(cards, { gender: ["Female"] })), ["card0", "card1"]);
+  });
+
+  test("combines selections from different filters", () => {
+    const query = { reward: ["Cups"], rarity: ["Common", "Rare"], gender: ["Male"] };
+    assert.deepEqual(ids(filterCards(cards, query)), ["card2"]);
+  });
+
+  test("splits owned and missing cards", () => {
+    const ownedIds = new Set(["card1"]);
+
+    assert.deepEqual(ids(filterCards(cards, { owned: "owned", ownedIds })), ["card1"]);
+    assert.deepEqual(ids(filterCards(cards, { owned: "missing", ownedIds })), ["card0", "card2"]);
+  });
+
+  test("matches one character name exactly, including on shared cards", () => {
+    const shared = makeCards([
+      { character: "Aslan and Vlad" },
+      { character: "Vladimir" },
+      { character: "Agent Doe, Lima, and Anna" },
+      { character: 'Vlad "The Impaler"' }
+    ]);
+
+    assert.deepEqual(ids(filterCards(shared, { character: "Vlad" })), ["card0"]);
+    assert.deepEqual(ids(filterCards(shared, { character: "Lima" })), ["card2"]);
+    assert.deepEqual(ids(filterCards(shared, { character: 'Vlad "The Impaler"' })), ["card3"]);
+    assert.deepEqual(splitCharacterNames("Satan & Lilith"), ["Satan", "Lilith"]);
+  });
+
+  test("applies a search predicate", () => {
+    assert.deepEqual(ids(filterCards(cards, { test: card => card.volume > 1 })), ["card1", "card2"]);
+  });
+
+  test("helpers treat an empty selection as no filter", () => {
+    assert.equal(matchesBook(cards[2], new Set()), true);
+    assert.equal(matchesBook(cards[2], new Set(["Kali"])), false);
+    assert.equal(matchesGender({}, new Set()), true);
+    assert.equal(matchesGender({}, new Set(["Male"])), false);
+  });
+});